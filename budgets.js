@@ -0,0 +1,20 @@
+const KB = 1024;
+
+/**
+ * Size budgets in bytes, checked at the end of every target build. `pages`
+ * are keyed by route path and `bundles` by lasso bundle name (the page name,
+ * a name from the project.js `bundles`, or the shared `vendor` and `common`
+ * bundles); the '*' entry applies to every
+ * page or bundle without its own entry. Each limit is optional: `js`/`css`
+ * cap the raw size and `jsGzip`/`cssGzip` the gzipped size.
+ */
+module.exports = {
+  pages: {
+    '*': { js: 200 * KB, jsGzip: 60 * KB, css: 50 * KB, cssGzip: 15 * KB },
+    '/mobile': { js: 900 * KB, jsGzip: 250 * KB, css: 600 * KB, cssGzip: 120 * KB }
+  },
+  bundles: {
+    '*': { js: 200 * KB, jsGzip: 60 * KB, css: 50 * KB, cssGzip: 15 * KB },
+    framework7: { js: 700 * KB, jsGzip: 180 * KB, css: 500 * KB, cssGzip: 80 * KB }
+  }
+};
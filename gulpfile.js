@@ -5,39 +5,69 @@ const path = require('path')
 
 var outputDirectory = path.resolve(`.`, `${directoryName}`)
 
-var replace = require('gulp-replace');
 var rename = require("gulp-rename");
-const fs = require('fs')
-const packageConfig = JSON.parse(fs.readFileSync(path.resolve(".", "package.json"), "utf8"));
+const targets = require('./targets');
+const manifest = require('./tasks/manifest');
+const budgets = require('./tasks/budgets');
+const buildCache = require('./tasks/build-cache');
+const timings = require('./tasks/timings');
+const sourceMaps = require('./tasks/source-maps');
 
-var exec = require('child_process').exec;
+// Copies the staged output of `target` to its publishDir.
+function copyOutput(target) {
+  function copy() {
 
-function copy() {
+    return gulp.src([path.resolve('.', target.outputDir, "**", "*"), path.resolve('.', 'package.json')])
+      .pipe(gulp.dest(path.resolve('.', target.publishDir)))
 
-  return gulp.src([path.resolve('.', "dist", "**", "*"), path.resolve('.', 'package.json')])
-    .pipe(gulp.dest(path.resolve('.', directoryName)))
 
+  }
+  copy.displayName = `publish:${target.profile || target.name}`;
+  return copy;
+}
 
+var copy = gulp.series(...targets.defaultTargets.map(name => copyOutput(targets.getTarget(name))));
+
+// The app's start page, main.html, next to the other pages.
+function makeAndroidReady(target, pages) {
+  return function makeAndroidReady(done) {
+    if (pages && pages.indexOf(targets.pageFile(target, target.entry)) === -1) {
+      return done();
+    }
+    return gulp.src([path.resolve(`.`, target.outputDir, targets.pageFile(target, target.entry))])
+      .pipe(rename("main.html"))
+      .pipe(gulp.dest(path.resolve('.', target.outputDir)));
+  };
 }
 
-function makeAndroidReady() {
-  return gulp.src([path.resolve(`.`, `dist`, 'mobile', `index.html`)])
-    .pipe(replace(`${packageConfig.baseurl || ""}/static`, 'static'))
-    .pipe(rename("main.html"))
-    .pipe(gulp.dest(path.resolve('.', directoryName)));
+function makePathsRelative(target, pages) {
+  return function makePathsRelative(done) {
+    let mainPage = target.postProcess.indexOf('androidMain') !== -1 && pages && pages.indexOf(targets.pageFile(target, target.entry)) !== -1;
+    let count = require('./tasks/relative-paths').rewriteTree(path.resolve('.', target.outputDir), mainPage ? pages.concat('main.html') : pages);
+    console.info(`Rewrote ${count} references in ${target.outputDir} to relative paths`);
+    done();
+  };
 }
 
-function makeCordovaReady(done) {
-  let pages = fs.readdirSync(path.join(__dirname, 'src', 'routes'));
-  for (let page of pages) {
-    let p = path.join(__dirname, directoryName, page, 'index.html');
-    let np = path.join(__dirname, directoryName, `${page}.html`);
-    console.info(`Moving ${p}->${np}`);
-    fs.lstatSync(p).isFile() && fs.renameSync(p, np);
+// The Cordova project (config.xml and www/) `cordova platform add` is run in.
+var cordovaDirectory = path.resolve('.', 'cordova');
+
+function makeCordovaProject(target) {
+  function cleanWww() {
+    return del([path.resolve(cordovaDirectory, 'www', '**', '*')]);
   }
 
-  done();
+  function copyWww() {
+    return gulp.src([path.resolve('.', target.outputDir, "**", "*")])
+      .pipe(gulp.dest(path.resolve(cordovaDirectory, 'www')));
+  }
+
+  function writeCordovaConfig(done) {
+    require('./tasks/cordova').writeConfig(cordovaDirectory, require('./package.json'), target);
+    done();
+  }
 
+  return gulp.series(cleanWww, copyWww, writeCordovaConfig);
 }
 
 function zipDistribution() {
@@ -60,65 +90,447 @@ function zipDistribution() {
 }
 var del = require('del');
 
-function cleanDist() {
-  return del([
-    path.resolve(`.`, `dist`, `**`, `*`),
-    path.resolve(`.cache`, `**`, `*`)
-  ]);
+const clean = require('./tasks/clean');
+
+function reportClean(dir, deleted, dryRun, summaryOnly) {
+  let name = path.relative('.', path.resolve(dir));
+  if (dryRun && !summaryOnly) {
+    deleted.forEach(file => console.info(`Would delete ${path.relative('.', file)}`));
+  }
+  console.info(`${dryRun ? 'Would delete' : 'Deleted'} ${deleted.length} files in ${name}`);
 }
 
-function cleanDocs() {
-  return del([
-    path.resolve(`.`, `docs`, `**`, `*`)
+// .cache, keeping the build cache unless `options.buildCache`.
+function cleanCache(options) {
+  let keep = options.buildCache ? [] : [`${path.relative('.cache', buildCache.CACHE_DIR).split(path.sep).join('/')}/**`];
+  return clean.cleanAll('.cache', { dryRun: options.dryRun, keep }).then(deleted => reportClean('.cache', deleted, options.dryRun, true));
+}
 
-  ]);
+// A target's staging outputDir, and its lasso cache, which assumes the bundles it wrote are still in the output.
+function cleanOutput(target) {
+  function cleanDist() {
+    return clean.cleanAll(target.outputDir)
+      .then(deleted => reportClean(target.outputDir, deleted))
+      .then(() => clean.cleanAll(target.cacheDir))
+      .then(deleted => reportClean(target.cacheDir, deleted, false, true));
+  }
+  return cleanDist;
+}
+
+function cleanPublished(target) {
+  function cleanPublishDir() {
+    return clean.cleanBuilt(target.publishDir).then(deleted => reportClean(target.publishDir, deleted));
+  }
+  return cleanPublishDir;
+}
+
+/**
+ * Copies the staged outputs of `published` to `dir`, in target order so a
+ * later target wins where two write the same file, and writes the build
+ * manifest there from their sections, after removing the files the previous
+ * build wrote there (see tasks/clean.js). When `dir` has no manifest yet,
+ * what was there before and wasn't published again is removed afterwards
+ * instead. Then `afterwards` run, and the files all of them wrote are
+ * recorded in the manifest for the next clean. Everything else in `dir` is
+ * left alone.
+ */
+function publishTo(dir, published, afterwards) {
+  let before;
+  let hadManifest;
+
+  function cleanPublished() {
+    hadManifest = require('fs').existsSync(path.join(dir, manifest.MANIFEST_FILE));
+    return clean.cleanBuilt(dir).then(deleted => {
+      reportClean(dir, deleted);
+      before = clean.snapshot(dir);
+    });
+  }
+
+  function assembleManifest(done) {
+    manifest.assembleTargets(dir, published);
+    done();
+  }
+
+  function cleanStale() {
+    if (hadManifest) {
+      return Promise.resolve();
+    }
+    let kept = published.reduce((files, target) => {
+      let outputDir = path.resolve('.', target.outputDir);
+      return files.concat(manifest.listFiles(outputDir).map(file => path.relative(outputDir, file).split(path.sep).join('/')));
+    }, ['package.json']);
+    return clean.cleanStale(dir, before, kept).then(deleted => reportClean(dir, deleted));
+  }
+
+  function recordPublished(done) {
+    let written = clean.recordBuilt(dir, before);
+    console.info(`Recorded ${written.length} files written to ${path.relative('.', path.resolve(dir))}`);
+    done();
+  }
+  return gulp.series(cleanPublished, ...published.map(copyOutput), assembleManifest, cleanStale, ...afterwards, recordPublished);
 }
 
 exports.copy = copy;
 
+function makePrecompressed(target) {
+  return function makePrecompressed(done) {
+    let summary = require('./tasks/precompress').precompressTree(path.resolve('.', target.outputDir));
+    console.info(`Wrote ${summary.written} .gz/.br files for ${summary.files} files in ${target.outputDir}, saving ${Math.round(summary.saved / 1024)} kB`);
+    done();
+  };
+}
+
+function makeServiceWorker(target) {
+  return function makeServiceWorker(done) {
+    let serviceWorker = require('./tasks/service-worker').writeServiceWorker(target);
+    console.info(`Wrote ${target.outputDir}/sw.js precaching ${serviceWorker.urls.length} files as ${serviceWorker.cacheName}`);
+    done();
+  };
+}
+
+function makeCriticalCss(target, pages) {
+  return function makeCriticalCss() {
+    return require('./tasks/optimize-html').inlineCriticalCss(path.resolve('.', target.outputDir), target, pages).then(summary => {
+      console.info(`Inlined the critical CSS of ${summary.pages} pages in ${target.outputDir}, adding ${Math.round((summary.after - summary.before) / 1024)} kB to them`);
+    });
+  };
+}
+
+function makeMinifiedHtml(target, pages) {
+  return function makeMinifiedHtml() {
+    return require('./tasks/optimize-html').minifyHtml(path.resolve('.', target.outputDir), pages).then(summary => {
+      console.info(`Minified ${summary.pages} pages in ${target.outputDir}, saving ${Math.round((summary.before - summary.after) / 1024)} kB`);
+    });
+  };
+}
+
+function makeIntegrity(target, pages) {
+  return function makeIntegrity(done) {
+    let summary = require('./tasks/security').addIntegrity(path.resolve('.', target.outputDir), target, pages);
+    console.info(`Added integrity hashes to ${summary.tags} script and stylesheet tags in ${summary.pages} pages in ${target.outputDir}`);
+    done();
+  };
+}
+
+function makeContentSecurityPolicy(target, pages) {
+  return function makeContentSecurityPolicy(done) {
+    let summary = require('./tasks/security').addContentSecurityPolicy(path.resolve('.', target.outputDir), target, pages);
+    console.info(`Wrote the Content-Security-Policy of ${summary.pages} pages in ${target.outputDir}, allowing ${summary.hashes} inline scripts and handlers by hash`);
+    done();
+  };
+}
+
+// Post-processing steps a target can list in its `postProcess` (see targets.js).
+// Each one is called with the target and returns the gulp task to run. Those
+// rewriting pages also take the page files a watch session rendered again
+// and leave the others, which they have rewritten before, alone.
+const postProcessSteps = {
+  androidMain: makeAndroidReady,
+  relativePaths: makePathsRelative,
+  precompress: makePrecompressed,
+  serviceWorker: makeServiceWorker,
+  criticalCss: makeCriticalCss,
+  minifyHtml: makeMinifiedHtml,
+  integrity: makeIntegrity,
+  csp: makeContentSecurityPolicy,
+  cordovaProject: makeCordovaProject
+};
 
+function option(name) {
+  let prefix = `--${name}=`;
+  let arg = process.argv.find(arg => arg.startsWith(prefix));
+  return arg && arg.slice(prefix.length);
+}
 
+function flag(name) {
+  return process.argv.indexOf(`--${name}`) !== -1;
+}
 
-var build = gulp.series(cleanDist, cleanDocs, buildShellAndroid, makeAndroidReady, cleanDist, buildShell, copy);
-var buildCordova = gulp.series(cleanDist, cleanDocs, buildShellCordova, copy, makeCordovaReady);
+function selectedTargets() {
+  let names = option('target');
+  return names ? names.split(',') : targets.defaultTargets;
+}
 
-var buildMobile = gulp.series(cleanDist, cleanDocs, buildShellAndroid, makeAndroidReady, copy, cleanDist, buildShell, copy, zipDistribution);
+// The target of the deploy profile picked with --profile or DEPLOY_PROFILE (see profiles.js), if any.
+function selectedProfile() {
+  let name = option('profile') || process.env.DEPLOY_PROFILE;
+  let overrides = {
+    baseurl: option('baseurl') !== undefined ? option('baseurl') : process.env.DEPLOY_BASEURL,
+    outputDir: option('output-dir') || process.env.DEPLOY_OUTPUT_DIR
+  };
+  if (!name) {
+    if (overrides.baseurl !== undefined || overrides.outputDir) {
+      throw new Error('--baseurl and --output-dir override a deploy profile, pick one with --profile=<name>');
+    }
+    return undefined;
+  }
+  return targets.getProfileTarget(name, overrides);
+}
 
-function buildShellAndroid(done) {
-  let isWindows = process.platform === "win32";
-  let cmd = isWindows ? `set ANDROID_APP=true && set LASSO_TIMEOUT=60000 && set NODE_ENV=production && marko-starter build` : `ANDROID_APP=true LASSO_TIMEOUT=60000 NODE_ENV=production marko-starter build`
+// marko and lasso pick their production runtime from NODE_ENV when first required.
+function loadProject() {
+  process.env.NODE_ENV = 'production';
+  return require('./project');
+}
 
-  exec(cmd, function (err, stdout, stderr) {
-    console.log(stdout);
-    err && console.log(err);
+function buildPages(target) {
+  function buildPagesTarget() {
+    let outputDir = path.resolve('.', target.outputDir);
+    return buildCache.cached(target, { enabled: !flag('no-cache') }, () => loadProject().buildTarget(target))
+      .then(pages => manifest.recordTarget(outputDir, target, pages))
+      .then(() => {
+        let maps = sourceMaps.writeSourceMaps(target);
+        console.info(`Wrote ${Object.keys(maps).length} source maps to ${sourceMaps.sourceMapDir(target)}`);
+        return manifest.recordSourceMaps(outputDir, target, maps);
+      });
+  }
+  buildPagesTarget.displayName = `build:${target.name}`;
+  return buildPagesTarget;
+}
+
+function checkBudgets(target) {
+  function checkBudgetsTarget(done) {
+    let section = manifest.readManifest(path.resolve('.', target.outputDir, manifest.MANIFEST_FILE)).targets[target.name];
+    budgets.enforce(target.name, section, require('./budgets'));
     done();
-  });
+  }
+  checkBudgetsTarget.displayName = `budgets:${target.name}`;
+  return checkBudgetsTarget;
 }
 
-function buildShellCordova(done) {
-  let isWindows = process.platform === "win32";
-  let cmd = isWindows ? `set CORDOVA_BUILD=true && LASSO_TIMEOUT=60000 && set NODE_ENV=production && marko-starter build` : `CORDOVA_BUILD=true LASSO_TIMEOUT=60000 NODE_ENV=production marko-starter build`
-  exec(cmd, function (err, stdout, stderr) {
-    console.log(stdout);
-    err && console.log(err);
+// The manifest records the pages as rendered; the post-processing steps rewrite them afterwards.
+function recordPostProcessed(target) {
+  function recordPostProcessedTarget(done) {
+    manifest.refreshTarget(path.resolve('.', target.outputDir), target);
     done();
-  });
+  }
+  recordPostProcessedTarget.displayName = `manifest:${target.name}`;
+  return recordPostProcessedTarget;
 }
 
-function buildShell(done) {
-  let isWindows = process.platform === "win32";
-  let cmd = isWindows ? `set GITHUB_PUBLISH=true && set LASSO_TIMEOUT=60000 && set NODE_ENV=production && marko-starter build` : `GITHUB_PUBLISH=true LASSO_TIMEOUT=60000 NODE_ENV=production marko-starter build`
+// Links Framework7 routes itself inside the mobile app (see its app/routes.js), by source directory.
+function clientRoutes() {
+  return {
+    'src/routes/mobile': require('./src/routes/mobile/components/app/routes').routes.map(route => route.path)
+  };
+}
+
+// The pages in the manifest in `dir`, those of `target` first: docs/ also holds files other targets published there.
+function manifestPages(target, dir) {
+  let sections = manifest.readManifest(path.join(dir, manifest.MANIFEST_FILE)).targets;
+  let names = [target.name].concat(Object.keys(sections).filter(name => name !== target.name));
+
+  return names.filter(name => sections[name] && targets.targets[name]).reduce((pages, name) => {
+    let built = targets.getTarget(name);
+    let entry = sections[name].pages.find(page => page.path === built.entry);
+    let main = entry && built.postProcess.indexOf('androidMain') !== -1 ? [Object.assign({}, entry, { file: 'main.html' })] : [];
+    return pages.concat(sections[name].pages, main);
+  }, []);
+}
 
-  exec(cmd, function (err, stdout, stderr) {
-    console.log(stdout);
-    err && console.log(err);
+function checkLinks(target, dir) {
+  function checkLinksTarget(done) {
+    require('./tasks/check-links').enforce(dir, target, manifestPages(target, dir), clientRoutes());
     done();
+  }
+  checkLinksTarget.displayName = `check-links:${target.name}`;
+  return checkLinksTarget;
+}
+
+// The post-processing steps of `target`, over all its pages or only the `pages` files.
+function postProcess(target, pages) {
+  let steps = target.postProcess.map(step => {
+    if (!postProcessSteps[step]) {
+      throw new Error(`Unknown post-processing step "${step}" for build target "${target.name}"`);
+    }
+    return postProcessSteps[step](target, pages);
+  });
+  return steps.length ? gulp.series(...steps) : done => done();
+}
+
+// Builds `target` into its outputDir, touching nothing another target uses.
+function stageTarget(target) {
+  return gulp.series(
+    cleanOutput(target),
+    buildPages(target),
+    checkBudgets(target),
+    postProcess(target),
+    recordPostProcessed(target),
+    checkLinks(target, path.resolve('.', target.outputDir))
+  );
+}
+
+/**
+ * Publishes the staged outputs of `targetList` to their publishDirs (see
+ * publishTo()). `afterwards` run once docs/ is complete.
+ */
+function publish(targetList, afterwards) {
+  let dirs = Array.from(new Set(targetList.map(target => target.publishDir).filter(Boolean)));
+  let isDocs = dir => path.resolve('.', dir) === outputDirectory;
+
+  let steps = dirs.map(dir => {
+    let published = targetList.filter(target => target.publishDir === dir);
+    return publishTo(path.resolve('.', dir), published, isDocs(dir) ? afterwards || [] : []);
   });
+  return dirs.some(isDocs) ? steps : steps.concat(afterwards || []);
+}
+
+function reportCache(done) {
+  buildCache.report();
+  done();
 }
 
+// Builds `target` in this process and publishes it.
+function buildTarget(target) {
+  return gulp.series(stageTarget(target), reportCache, ...publish([target]));
+}
+
+// Builds the targets named in `targetNames` side by side in worker processes (see `gulp stage`), then publishes them.
+function buildTargets(targetNames, afterwards) {
+  let targetList = targetNames.map(name => targets.getTarget(name));
+
+  function stageTargets() {
+    return require('./tasks/stage-workers').stageAll(targetList, {
+      concurrency: Number(option('concurrency')) || undefined,
+      args: flag('no-cache') ? ['--no-cache'] : []
+    });
+  }
+  return gulp.series(stageTargets, reportCache, ...publish(targetList, afterwards));
+}
+
+// Run by tasks/stage-workers.js in a child process for each target of a build.
+function stage(done) {
+  require('./tasks/stage-workers').workerTarget().then(target => {
+    if (!target) {
+      return done(new Error('gulp stage only runs in the worker processes of gulp build'));
+    }
+    // workers render side by side, and one could read a compiled .marko.js another is halfway through writing
+    // (after loadProject(): marko/compiler is a different module outside production). configure() replaces
+    // what marko/node-require set, and without requireTemplates templates load their layouts and components
+    // lazily, out of the require.cache children tasks/watch.js and tasks/sitemap.js follow
+    loadProject();
+    require('marko/compiler').configure({ writeToDisk: false, requireTemplates: true });
+    return stageTarget(target)(done);
+  }).catch(done);
+}
+
+// Maps the bundle locations in a stack trace (--file, or stdin) back to source through the source maps of --target or --profile.
+function stackTrace() {
+  let target = selectedProfile() || (option('target') && targets.getTarget(option('target')));
+  if (!target) {
+    return Promise.reject(new Error('gulp stack-trace needs the target the trace comes from, e.g. --target=android, or a --profile'));
+  }
+  let mapper = require('./tasks/stack-trace');
+  let input = option('file') ? require('fs').createReadStream(option('file')) : process.stdin;
+
+  return mapper.readStream(input).then(text => process.stdout.write(mapper.mapStackTrace(text, sourceMaps.sourceMapDir(target))));
+}
+
+// Compares docs/ (or --dir, or the output of --profile) with how it was at git --ref (HEAD by default), or with the build the manifest --manifest records.
+function diffTask(done) {
+  let buildDiff = require('./tasks/build-diff');
+  let profile = selectedProfile();
+  let dir = option('dir') || (profile ? profile.publishDir : directoryName);
+  let before = option('manifest') ? buildDiff.describeManifest(option('manifest')) :
+    buildDiff.describeOutput(buildDiff.gitSource(option('ref') || 'HEAD', dir));
+
+  console.info(buildDiff.formatReport(buildDiff.compareOutputs(before, buildDiff.describeOutput(buildDiff.directorySource(dir)))));
+  done();
+}
+
+// Checks docs/ (or --dir) as the GitHub Pages site (or --target) serves it, or the output of --profile.
+function checkLinksTask(done) {
+  let target = selectedProfile() || targets.getTarget(option('target') || 'github-pages');
+  let dir = option('dir') || target.publishDir || target.outputDir;
+  return checkLinks(target, path.resolve('.', dir))(done);
+}
+
+// Builds --target (web by default) or --profile and serves its output, or serves --dir as that target would.
+function serve(done) {
+  let target = selectedProfile() || targets.getTarget(option('target') || 'web');
+  let port = Number(option('port') || 8080);
+  let dir = path.resolve('.', option('dir') || target.publishDir || target.outputDir);
+  let prefix = target.links.prefix || '';
+
+  function serveOutput() {
+    return new Promise((resolve, reject) => {
+      require('./tasks/serve').createServer(dir, { prefix })
+        .on('error', reject)
+        .listen(port, () => console.info(`Serving ${dir} at http://localhost:${port}${prefix}/`));
+    });
+  }
+  return gulp.series(...(option('dir') ? [] : [buildTarget(target)]), serveOutput)(done);
+}
+
+// Deletes what the last build wrote to docs/ (or the --profile output dir), the targets' outputDirs and .cache, the build cache in it with --build-cache; --dry-run lists it instead.
+function cleanTask() {
+  let dryRun = flag('dry-run');
+  let target = selectedProfile();
+  let published = target ? path.resolve('.', target.publishDir) : outputDirectory;
+  let scratch = target ? [target.outputDir, sourceMaps.sourceMapDir(target)] :
+    Array.from(new Set(Object.keys(targets.targets).map(name => targets.targets[name].outputDir))).concat(sourceMaps.SOURCE_MAPS_DIR);
+
+  return clean.cleanBuilt(published, { dryRun })
+    .then(deleted => reportClean(published, deleted, dryRun))
+    .then(() => scratch.reduce((previous, dir) => previous.then(() => {
+      return clean.cleanAll(dir, { dryRun }).then(deleted => reportClean(dir, deleted, dryRun));
+    }), Promise.resolve()))
+    .then(() => cleanCache({ dryRun, buildCache: flag('build-cache') }));
+}
+
+function watch(done) {
+  let names = selectedTargets();
+  let target = selectedProfile();
+  if (!target && (!option('target') || names.length !== 1)) {
+    return done(new Error('gulp watch needs a single target, e.g. --target=github-pages, or a --profile'));
+  }
+  target = target || targets.getTarget(names[0]);
+
+  function watchSrc() {
+    return require('./tasks/watch').watchTarget(target, {
+      project: loadProject(),
+      postProcess: pages => {
+        let files = pages.map(page => targets.pageFile(target, page.path));
+        return target.publishDir ? gulp.series(postProcess(target, files), copyOutput(target)) : postProcess(target, files);
+      }
+    });
+  }
+  return gulp.series(...(target.publishDir ? [cleanPublished(target)] : []), cleanOutput(target), watchSrc)(done);
+}
+
+// Prints the timings of everything `task` ran, its workers' included, and writes them to --trace (dist/build-trace.json).
+function timed(task) {
+  function reportTimings(done) {
+    timings.report(option('trace'));
+    done();
+  }
+  return gulp.series(task, reportTimings);
+}
+
+timings.trackGulp(gulp);
+
+// Builds --profile, or --target (the default targets) side by side.
+function build(done) {
+  let profile = selectedProfile();
+  return timed(profile ? buildTarget(profile) : buildTargets(selectedTargets()))(done);
+}
+
+// Like build, then zips docs/.
+function buildMobile(done) {
+  let profile = selectedProfile();
+  return timed(profile ? gulp.series(buildTarget(profile), zipDistribution) : buildTargets(selectedTargets(), [zipDistribution]))(done);
+}
+
+var buildCordova = buildTarget(targets.getTarget('cordova'));
+
 gulp.task('build', build);
 gulp.task('default', build);
 gulp.task('mobile', buildMobile);
-gulp.task('cordova', buildCordova);
-
-// gulp.task('watch', );
+gulp.task('cordova', timed(buildCordova));
+gulp.task('watch', watch);
+gulp.task('check-links', checkLinksTask);
+gulp.task('stack-trace', stackTrace);
+gulp.task('diff', diffTask);
+gulp.task('serve', serve);
+gulp.task('clean', cleanTask);
+gulp.task('stage', stage);
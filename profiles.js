@@ -0,0 +1,33 @@
+const packageConfig = require('./package.json');
+
+/**
+ * Deploy profiles: a build target (see targets.js) deployed somewhere
+ * specific. A profile sets the `baseurl` the site is served under (replacing
+ * the target's own link prefix and the static URL prefix built from it), the
+ * `outputDir` the finished site is written to, extra lasso `flags` and the
+ * `origin` sitemap.xml URLs use.
+ *
+ * Build one with `gulp build --profile=<name>` or `DEPLOY_PROFILE=<name>`;
+ * `--baseurl` (`DEPLOY_BASEURL`) and `--output-dir` (`DEPLOY_OUTPUT_DIR`)
+ * override the profile's settings for a single build.
+ */
+module.exports = {
+  'github-pages': {
+    target: 'github-pages',
+    baseurl: packageConfig.baseurl,
+    outputDir: 'build/github-pages'
+  },
+  internal: {
+    target: 'web',
+    baseurl: '/apps/marko-starter',
+    outputDir: 'build/internal',
+    flags: ['internal'],
+    origin: 'https://intranet.example.com'
+  },
+  root: {
+    target: 'web',
+    baseurl: '',
+    outputDir: 'build/root',
+    origin: 'https://marko-starter.example.com'
+  }
+};
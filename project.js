@@ -1,37 +1,289 @@
-const fs = require("fs");
+const fs = require('fs');
 const path = require('path');
+const targets = require('./targets');
+const BuildError = require('./tasks/build-error');
+const lassoBundles = require('./tasks/lasso-bundles');
+const buildInfo = require('./tasks/build-info');
+const serviceWorkerUrl = require('./tasks/service-worker').serviceWorkerUrl;
+const webManifest = require('./tasks/web-manifest');
+const timings = require('./tasks/timings');
+
+// Read once by lasso's marko taglib, so it has to be in place before the first page renders.
+process.env.LASSO_TIMEOUT = process.env.LASSO_TIMEOUT || '60000';
 
-const packageConfig = JSON.parse(fs.readFileSync("./package.json", "utf8"));
 const isProduction = process.env.NODE_ENV && (process.env.NODE_ENV.trim() === 'production');
-const isGithubPublish = process.env.GITHUB_PUBLISH && (process.env.GITHUB_PUBLISH.trim() === 'true');
-let isCordovaPublish = process.env.CORDOVA_BUILD && (process.env.CORDOVA_BUILD.trim() === 'true');
-const isAndroidPublish = process.env.ANDROID_APP && (process.env.ANDROID_APP.trim() === 'true');
 const project_name = "marko-starter"
 
-module.exports = require("marko-starter").projectConfig({
-  name: project_name, // Optional, but added here for demo purposes
-  lassoConfig: {
-    require: {
-      transforms: [{
-        transform: 'lasso-babel-transform',
-        config: {
-          extensions: ['.js', '.es6'] // Enabled file extensions. Default: ['.js', '.es6']
-        }
-      }]
-    },
-    outputDir: isGithubPublish || isAndroidPublish || isCordovaPublish ? path.resolve(`dist`, `static`) : path.resolve('.cache', 'static'),
-    bundlingEnabled: isProduction,
-    "bundles": [{
-      "name": "framework7",
-      "dependencies": [{
-        "path": "framework7/js/framework7.js"
-      }]
-    }],
-    fingerprintsEnabled: isProduction,
-    urlPrefix: isGithubPublish ? `${packageConfig.baseurl || ""}/static` : (isAndroidPublish ? 'static' : '/static'),
-    minifyJS: false,
-    plugins: [
-      'lasso-marko'
-    ]
+const markoStarter = require("marko-starter");
+
+// Transpiles the app's modules for the browsers of the `legacy` browserslist environment in package.json.
+const legacyTransform = {
+  transform: require.resolve('./tasks/lasso-legacy-babel'),
+  config: {
+    extensions: ['.js', '.es6'] // Enabled file extensions. Default: ['.js', '.es6']
   }
-});
+};
+
+function createConfig(target, options) {
+  const production = target ? true : isProduction;
+  const config = {
+    name: project_name, // Optional, but added here for demo purposes
+    lassoConfig: {
+      require: {
+        // differential targets lasso their modern bundles untranspiled, and the legacy ones with createLegacyLasso()
+        transforms: target && target.differential ? [] : [legacyTransform]
+      },
+      outputDir: target ? path.resolve(target.outputDir, `static`) : path.resolve('.cache', 'static'),
+      bundlingEnabled: production,
+      "bundles": [{
+        "name": "framework7",
+        "dependencies": [
+          { "path": "framework7/js/framework7.bundle.min.js" },
+          { "path": "framework7/css/framework7.bundle.min.css" },
+          { "path": "framework7-icons/css/framework7-icons.css" }
+        ]
+      }],
+      fingerprintsEnabled: production,
+      urlPrefix: target ? target.urlPrefix : '/static',
+      minifyJS: false,
+      plugins: [
+        'lasso-marko'
+      ]
+    }
+  };
+
+  // Production lasso caches page results on disk and never re-checks the
+  // sources, which a watch session has to do after every change.
+  if (options && options.watch) {
+    config.lassoConfig.cacheProfile = 'development';
+  }
+
+  if (target) {
+    const variant = target.differential ? 'modern' : undefined;
+    config.lassoConfig.plugins.push({
+      plugin: require.resolve('./tasks/lasso-bundles'),
+      config: { projectBundles: config.lassoConfig.bundles.map(bundle => bundle.name), variant }
+    }, {
+      plugin: require.resolve('./tasks/lasso-timings'),
+      config: { variant }
+    });
+    config.lassoConfig.cacheDir = path.resolve(target.cacheDir);
+    Object.assign(config, {
+      outputDir: path.resolve(target.outputDir),
+      production,
+      flags: target.flags
+    });
+  }
+  return config;
+}
+
+function fillParams(routePath, params) {
+  return routePath.replace(/:(\w+)/g, (match, name) => params[name]);
+}
+
+/**
+ * The lasso that builds the `nomodule` bundles of a `differential` target:
+ * the configuration of the project's own lasso, with the app's modules
+ * transpiled and a disk cache of its own. They go to the same static dir;
+ * what comes out the same in both builds (stylesheets, Framework7) is the
+ * same file.
+ */
+function createLegacyLasso(project, target) {
+  const lassoConfig = project.getLassoConfig();
+  return require('lasso').create(Object.assign({}, lassoConfig, {
+    require: Object.assign({}, lassoConfig.require, { transforms: [legacyTransform] }),
+    cacheDir: path.resolve(target.cacheDir, 'legacy'),
+    plugins: lassoConfig.plugins.map(plugin => {
+      return plugin.config && 'variant' in plugin.config ?
+        Object.assign({}, plugin, { config: Object.assign({}, plugin.config, { variant: 'legacy' }) }) : plugin;
+    })
+  }));
+}
+
+// The `nomodule` scripts for the page rendered from the compiled template `templatePath`, lassoed by `legacyLasso` as lasso's <lasso-body> would.
+function legacyScripts(legacyLasso, templatePath) {
+  return legacyLasso.lassoPage({
+    pageName: path.basename(path.dirname(templatePath)),
+    cacheKey: templatePath,
+    dependencies: [`marko-hydrate: ${templatePath.replace(/\.js$/, '')}`]
+  }).then(result => result.getSlotHtml('body', {
+    externalScriptAttrs: { nomodule: true },
+    inlineScriptAttrs: { nomodule: true }
+  }));
+}
+
+function renderPage(project, target, page, build, legacyLasso) {
+  const buildRoute = require('marko-starter/src/util/buildRoute');
+  const file = path.join(project.getOutputDir(), targets.pageFile(target, page.path));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  return timings.time('render', page.path, () => buildRoute({
+    project,
+    route: page.route,
+    params: page.params,
+    path: page.path,
+    out: fs.createWriteStream(file),
+    handler: (input, out) => {
+      // serialized so components rendering again in the browser see it too
+      input.$global = {
+        build,
+        serviceWorker: serviceWorkerUrl(target),
+        webApp: webManifest.headTags(target),
+        legacyScripts: legacyLasso && (templatePath => legacyScripts(legacyLasso, templatePath)),
+        serializedGlobals: { build: true }
+      };
+      return page.route.handler(input, out);
+    }
+  })).catch(err => {
+    throw Object.assign(err, { page: page.path });
+  });
+}
+
+// `lassoConfig` with the bundles from tasks/lasso-bundles.js, through which the pages share the modules their templates have in common.
+function withSharedBundles(project, lassoConfig) {
+  const templates = project.getRoutes()
+    .map(route => path.join(route.__dirname, 'index.marko'))
+    .filter(template => fs.existsSync(template));
+
+  return Object.assign({}, lassoConfig, {
+    bundles: lassoConfig.bundles.concat(lassoBundles.sharedBundles(templates))
+  });
+}
+
+/**
+ * Requires the route modules and templates under `dir` the way
+ * marko-starter's route table walks them, and returns the errors of those
+ * that fail, each tagged with the `page` of its route. The route table
+ * requires them inside file system callbacks, where a template that doesn't
+ * compile is an uncaught exception instead of a failed page.
+ */
+function loadRoutes(dir, parentPath) {
+  const name = path.basename(dir);
+  const routesDir = path.join(dir, 'routes');
+  const failures = [];
+  let page = parentPath === undefined ? '/' : `${parentPath}/${name === 'index' ? '' : name}`;
+
+  [path.join(dir, 'route.js'), path.join(dir, 'index.marko')].filter(file => fs.existsSync(file)).forEach(file => {
+    try {
+      const exported = require(file);
+      if (path.basename(file) === 'route.js' && exported.path) {
+        page = [].concat(exported.path).join(', ');
+      }
+    } catch (err) {
+      failures.push(Object.assign(err, { page }));
+    }
+  });
+
+  const children = fs.existsSync(routesDir) ? fs.readdirSync(routesDir).filter(child => !child.startsWith('.')) : [];
+  const childPath = parentPath === undefined ? '' : `${parentPath}/${name}`;
+  return children.reduce((all, child) => all.concat(loadRoutes(path.join(routesDir, child), childPath)), failures);
+}
+
+function listPages(project) {
+  const pages = [];
+  project.getRoutes().forEach(route => {
+    (route.params && route.params.length ? route.params : [undefined]).forEach(params => {
+      pages.push({ route, params, path: params ? fillParams(route.path, params) : route.path });
+    });
+  });
+  return pages;
+}
+
+/**
+ * Sets up a marko-starter project for `target` in this process and resolves
+ * with `{ project, pages, render(pages), resetBundles() }`. `render`
+ * (re)builds the given pages, stamped with a fresh build info (see
+ * tasks/build-info.js), and can be called again by the watch task
+ * (`options.watch`), which calls `resetBundles` so lasso bundles the changed
+ * sources again instead of reusing what it lassoed before. This follows what
+ * marko-starter's own `build()` does, but that one exits the process when a
+ * page fails; here every failing page is collected into a `BuildError`. The
+ * steps of `build()` are marko-starter internals (`marko-starter/src/util`),
+ * so package.json pins marko-starter to the exact version they come from.
+ * Pages of a `differential` target also get the legacy bundles of
+ * createLegacyLasso(), through `legacyScripts` in `$global`.
+ */
+function openTarget(target, options) {
+  const createProject = require('marko-starter/src/util/createProject');
+  const runProjectTasks = require('marko-starter/src/util/runProjectTasks');
+  const triggerProjectHook = require('marko-starter/src/util/triggerProjectHook');
+  const routeFailures = loadRoutes(path.join(__dirname, 'src'));
+
+  if (routeFailures.length) {
+    return Promise.reject(BuildError.fromPageErrors(target.name, routeFailures));
+  }
+  return createProject(createConfig(target, options))
+    .then(project => {
+      return runProjectTasks(project)
+        .then(() => project.setLassoConfig(withSharedBundles(project, project.getLassoConfig())))
+        .then(() => triggerProjectHook(project, 'beforeStart'))
+        .then(() => project);
+    })
+    .then(project => {
+      let legacyLasso = target.differential ? createLegacyLasso(project, target) : undefined;
+
+      function render(pages) {
+        const failures = [];
+        const build = buildInfo.createBuildInfo(target);
+
+        targets.setActiveTarget(target);
+        return Promise.all(pages.map(page => {
+          return renderPage(project, target, page, build, legacyLasso).catch(err => failures.push(err));
+        })).then(() => {
+          targets.setActiveTarget(undefined);
+          if (failures.length) {
+            throw BuildError.fromPageErrors(target.name, failures);
+          }
+          buildInfo.writeVersionFile(project.getOutputDir(), build);
+        });
+      }
+
+      // lasso takes over the plugins and bundles of the config it was given, so a reset needs new ones; the defaults marko-starter filled in are kept
+      function resetBundles() {
+        const lasso = require('lasso');
+        const lassoConfig = withSharedBundles(project, createConfig(target, options).lassoConfig);
+        project.setLassoConfig(Object.assign({}, project.getLassoConfig(), lassoConfig));
+        lasso.clearCaches();
+        lasso.configure(project.getLassoConfig());
+        if (legacyLasso) {
+          legacyLasso = createLegacyLasso(project, target);
+        }
+      }
+
+      return { project, pages: listPages(project), render, resetBundles };
+    })
+    .catch(err => {
+      throw err instanceof BuildError ? err : BuildError.fromPageErrors(target.name, [], err);
+    });
+}
+
+function describePage(target, page) {
+  return {
+    path: page.path,
+    file: targets.pageFile(target, page.path),
+    source: path.relative(process.cwd(), page.route.__dirname).split(path.sep).join('/')
+  };
+}
+
+// Builds every page of `target` in this process and resolves with `{ path, file, source }` for each.
+function buildTarget(target) {
+  const triggerProjectHook = require('marko-starter/src/util/triggerProjectHook');
+
+  lassoBundles.reset();
+
+  return timings.time('build', 'open project', () => openTarget(target)).then(build => {
+    return timings.time('build', 'render pages', () => build.render(build.pages))
+      // pages loaded from file:// have no URL a sitemap could list
+      .then(() => target.sitemap && timings.time('build', 'sitemap', () => require('./tasks/sitemap').writeSiteFiles(build.project.getOutputDir(), target, build.pages)))
+      .then(() => timings.time('build', 'web app', () => webManifest.writeWebApp(build.project.getOutputDir(), target)))
+      .then(() => triggerProjectHook(build.project, 'afterBuild'))
+      // lasso writes its disk caches in the background; let it finish before the next step cleans .cache
+      .then(() => timings.time('build', 'flush lasso caches', () => require('lasso').flushAllCaches()))
+      .then(() => build.pages.map(page => describePage(target, page)));
+  });
+}
+
+module.exports = markoStarter.projectConfig(createConfig());
+module.exports.openTarget = openTarget;
+module.exports.buildTarget = buildTarget;
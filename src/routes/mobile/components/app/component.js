@@ -8,6 +8,7 @@ let config = require('./routes');
   onMount() {
     this.start()
     this.addBackHandlers();
+    this.addUpdateHandler();
   }
 
   addBackHandlers(){
@@ -16,6 +17,19 @@ let config = require('./routes');
     })
   }
 
+  // fired by <service-worker> in the layout when a newer build has been downloaded
+  addUpdateHandler(){
+    window.addEventListener('update-available',(event)=>{
+      let worker = event.detail.worker;
+      window.app.dialog.confirm('A new version of the app is available. Reload now?', 'Update', ()=>{
+        navigator.serviceWorker.addEventListener('controllerchange',()=>{
+          window.location.reload();
+        })
+        worker.postMessage('skipWaiting');
+      })
+    })
+  }
+
   start() {
     var theme = 'auto';
     if (document.location.search.indexOf('theme=') >= 0) {
@@ -29,6 +43,9 @@ let config = require('./routes');
 
       id: 'com.myapp.test',
 
+      // set by <build-info> in the layout
+      version: window.BUILD_INFO ? window.BUILD_INFO.version : '1.0.0',
+
       panel: {
         swipe: 'left',
       },
@@ -0,0 +1,177 @@
+const packageConfig = require('./package.json');
+const profiles = require('./profiles');
+const baseurl = packageConfig.baseurl || '';
+const origin = packageConfig.origin;
+
+/**
+ * Build targets, built with `gulp build --target=<name>`; the README
+ * explains each setting. A target has:
+ *
+ * - `urlPrefix`: where lasso serves its static files from
+ * - `outputDir`: the staging directory it is built in
+ * - `flags`: the lasso flags of its bundles
+ * - `links.prefix`: added by `<a-rel>` to root-relative hrefs
+ * - `postProcess`: the steps of `postProcessSteps` in gulpfile.js, in order
+ * - `publishDir`: where its output is copied once every target is built
+ * - `flatPages`: pages as `<path-segments>.html`, linked by relative path
+ * - `entry`: the page an app opens first
+ * - `offline`: the pages its service worker precaches
+ * - `differential`: modern and legacy builds of every bundle
+ * - `sitemap`: a sitemap.xml and robots.txt under `origin` (package.json
+ *   `origin` unless the target sets its own)
+ *
+ * profiles.js deploys targets under other base URLs and output directories.
+ */
+const targets = {
+  web: {
+    urlPrefix: '/static',
+    outputDir: 'dist/web',
+    flags: [],
+    links: {},
+    differential: true,
+    offline: ['/mobile'],
+    sitemap: true,
+    postProcess: ['criticalCss', 'minifyHtml', 'integrity', 'csp', 'serviceWorker', 'precompress']
+  },
+  'github-pages': {
+    urlPrefix: `${baseurl}/static`,
+    outputDir: 'dist/github-pages',
+    flags: ['github-pages'],
+    links: { prefix: baseurl },
+    differential: true,
+    offline: ['/mobile'],
+    sitemap: true,
+    postProcess: ['criticalCss', 'minifyHtml', 'integrity', 'csp', 'serviceWorker'],
+    publishDir: 'docs'
+  },
+  android: {
+    urlPrefix: '/static',
+    outputDir: 'dist/android',
+    flags: ['android'],
+    links: {},
+    entry: '/mobile',
+    postProcess: ['criticalCss', 'minifyHtml', 'androidMain', 'relativePaths'],
+    publishDir: 'docs'
+  },
+  cordova: {
+    urlPrefix: 'static',
+    outputDir: 'dist/cordova',
+    flags: ['cordova'],
+    links: {},
+    flatPages: true,
+    entry: '/mobile',
+    postProcess: ['criticalCss', 'minifyHtml', 'cordovaProject']
+  }
+};
+
+// Targets built by a plain `gulp build`, in order.
+const defaultTargets = ['android', 'github-pages'];
+
+function getTarget(name) {
+  const target = targets[name];
+  if (!target) {
+    throw new Error(`Unknown build target "${name}". Expected one of: ${Object.keys(targets).join(', ')}`);
+  }
+  // lasso's disk cache is per target too, so targets built side by side don't share one
+  return Object.assign({ name, origin, cacheDir: `.cache/${name}` }, target);
+}
+
+function normalizeBaseurl(baseurl) {
+  const segments = (baseurl || '').split('/').filter(Boolean);
+  return segments.length ? `/${segments.join('/')}` : '';
+}
+
+/**
+ * The target deploy profile `name` builds (see profiles.js), served under
+ * the profile's base URL, staged in a directory of its own and published to
+ * the profile's output directory instead of docs/. `overrides` replace
+ * profile settings that aren't undefined.
+ */
+function getProfileTarget(name, overrides) {
+  const profile = profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown deploy profile "${name}". Expected one of: ${Object.keys(profiles).join(', ')}`);
+  }
+  const settings = Object.assign({}, profile);
+  Object.keys(overrides || {})
+    .filter(key => overrides[key] !== undefined)
+    .forEach(key => {
+      settings[key] = overrides[key];
+    });
+
+  const target = getTarget(settings.target);
+  const baseurl = normalizeBaseurl(settings.baseurl);
+  if (target.flatPages && baseurl) {
+    throw new Error(`Deploy profile "${name}" sets a base URL, but build target "${target.name}" links its pages by relative path`);
+  }
+  if (!settings.outputDir) {
+    throw new Error(`Deploy profile "${name}" has no outputDir`);
+  }
+
+  return Object.assign(target, {
+    profile: name,
+    urlPrefix: target.flatPages ? target.urlPrefix : `${baseurl}/static`,
+    links: Object.assign({}, target.links, { prefix: baseurl }),
+    outputDir: `dist/profile-${name}`,
+    cacheDir: `.cache/profile-${name}`,
+    publishDir: settings.outputDir,
+    flags: target.flags.concat(settings.flags || []),
+    origin: settings.origin || target.origin
+  });
+}
+
+// The target project.js is currently building, or undefined for the dev server.
+let activeTarget;
+
+function getActiveTarget() {
+  return activeTarget;
+}
+
+function setActiveTarget(target) {
+  activeTarget = target;
+}
+
+// Where the page for `pagePath` is written, relative to the target's outputDir.
+function pageFile(target, pagePath) {
+  const segments = pagePath.split('/').filter(Boolean);
+  if (target && target.flatPages) {
+    return `${segments.join('-') || 'index'}.html`;
+  }
+  return segments.concat('index.html').join('/');
+}
+
+// The URL path a page is served at, with the target's link prefix.
+function pageUrl(target, pagePath) {
+  const url = `/${pageFile(target, pagePath).replace(/(^|\/)index\.html$/, '$1')}`;
+  return `${(target.links && target.links.prefix) || ''}${url}`;
+}
+
+// The URL of `file`, relative to the target's outputDir, from its pages.
+function fileUrl(target, file) {
+  if (target.flatPages) {
+    return file;
+  }
+  return `${(target.links && target.links.prefix) || ''}/${file}`;
+}
+
+function rewriteLink(target, href) {
+  if (!target || !href || href.charAt(0) !== '/') {
+    return href;
+  }
+  if (target.flatPages) {
+    return pageFile(target, href);
+  }
+  const links = target.links || {};
+  return links.prefix ? `${links.prefix}${href}` : href;
+}
+
+exports.targets = targets;
+exports.defaultTargets = defaultTargets;
+exports.getTarget = getTarget;
+exports.getProfileTarget = getProfileTarget;
+exports.getActiveTarget = getActiveTarget;
+exports.setActiveTarget = setActiveTarget;
+exports.pageFile = pageFile;
+exports.pageUrl = pageUrl;
+exports.fileUrl = fileUrl;
+exports.rewriteLink = rewriteLink;
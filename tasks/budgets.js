@@ -0,0 +1,127 @@
+const LIMITS = ['js', 'jsGzip', 'css', 'cssGzip'];
+
+// How many of the biggest dependencies to show for an over-budget page or bundle.
+const CULPRITS = 5;
+
+function formatSize(bytes) {
+  return `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+function assetType(name) {
+  const match = /\.(js|css)$/.exec(name);
+  return match && match[1];
+}
+
+function measure(names, assets) {
+  const sizes = { js: 0, jsGzip: 0, css: 0, cssGzip: 0 };
+  names.forEach(name => {
+    const type = assetType(name);
+    if (type && assets[name]) {
+      sizes[type] += assets[name].size;
+      sizes[`${type}Gzip`] += assets[name].gzipSize;
+    }
+  });
+  return sizes;
+}
+
+function budgetFor(entries, key) {
+  return Object.assign({}, entries && entries['*'], entries && entries[key]);
+}
+
+// The biggest dependencies in `names` of the types that went over, with where each was declared.
+function culprits(names, assets, over) {
+  const types = new Set(over.map(limit => limit.replace(/Gzip$/, '')));
+  const dependencies = new Map();
+
+  // lasso lists a CommonJS module once for its definition and once for running it
+  names.filter(name => types.has(assetType(name)) && assets[name]).forEach(name => {
+    (assets[name].dependencies || []).forEach(dependency => dependencies.set(dependency.path, dependency));
+  });
+
+  return Array.from(dependencies.values())
+    .sort((a, b) => b.size - a.size)
+    .slice(0, CULPRITS)
+    .map(dependency => `${formatSize(dependency.size)} ${dependency.path}` +
+      (dependency.declaredBy ? ` (declared by ${dependency.declaredBy})` : ''));
+}
+
+function check(kind, name, assetNames, assets, budget) {
+  const sizes = measure(assetNames, assets);
+  const over = LIMITS.filter(limit => budget[limit] != null && sizes[limit] > budget[limit]);
+  return {
+    kind,
+    name,
+    sizes,
+    budget,
+    over,
+    culprits: over.length ? culprits(assetNames, assets, over) : []
+  };
+}
+
+// Browsers load one of the two builds of a `differential` target (see targets.js); the budgets are for the modern one.
+function isLoaded(name, assets) {
+  const variants = assets[name] && assets[name].variants;
+  return !variants || variants.indexOf('modern') !== -1;
+}
+
+/**
+ * Compares the sizes recorded in a target's manifest section against the
+ * budgets (see budgets.js) for each page and each lasso bundle name.
+ */
+function checkTarget(section, budgets) {
+  const assets = section.assets;
+  const bundles = {};
+
+  Object.keys(assets).filter(name => isLoaded(name, assets)).forEach(name => {
+    if (assets[name].bundle) {
+      (bundles[assets[name].bundle] = bundles[assets[name].bundle] || []).push(name);
+    }
+  });
+
+  return section.pages
+    .filter(page => page.assets.length)
+    .map(page => {
+      const loaded = page.assets.filter(name => isLoaded(name, assets));
+      return check('page', page.path, loaded, assets, budgetFor(budgets.pages, page.path));
+    })
+    .concat(Object.keys(bundles).sort().map(name => {
+      return check('bundle', name, bundles[name], assets, budgetFor(budgets.bundles, name));
+    }));
+}
+
+function formatLimit(results, limit) {
+  const actual = formatSize(results.sizes[limit]);
+  const budget = results.budget[limit] != null ? formatSize(results.budget[limit]) : '-';
+  return `${results.over.indexOf(limit) !== -1 ? '!' : ' '}${actual} / ${budget}`.padEnd(22);
+}
+
+function report(targetName, results) {
+  const lines = [`Size budgets for target "${targetName}" (actual / budget, ! = over):`];
+  lines.push(`  ${''.padEnd(26)}${LIMITS.map(limit => limit.padEnd(22)).join('')}`);
+  results.forEach(result => {
+    lines.push(`  ${`${result.kind} ${result.name}`.padEnd(26)}${LIMITS.map(limit => formatLimit(result, limit)).join('')}`);
+    result.culprits.forEach(culprit => lines.push(`      ${culprit}`));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Prints the budget report for `targetName` and throws when a page or
+ * bundle is over any of its limits.
+ */
+function enforce(targetName, section, budgets) {
+  const results = checkTarget(section, budgets);
+  const failed = results.filter(result => result.over.length);
+
+  console.log(report(targetName, results));
+
+  if (failed.length) {
+    const names = failed.map(result => `${result.kind} ${result.name} (${result.over.join(', ')})`);
+    throw Object.assign(new Error(`Size budget exceeded for target "${targetName}": ${names.join('; ')}`), {
+      showStack: false
+    });
+  }
+}
+
+exports.checkTarget = checkTarget;
+exports.enforce = enforce;
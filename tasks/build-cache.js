@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const lassoBundles = require('./lasso-bundles');
+const listFiles = require('./manifest').listFiles;
+const packageConfig = require('../package.json');
+
+// One directory per target (or deploy profile) holding its entries, one per key.
+const CACHE_DIR = path.join('.cache', 'builds');
+
+// Entries kept per target, the most recently used ones.
+const KEEP_ENTRIES = 3;
+
+// What went into each bundle of an entry, see lasso-bundles.js; lasso doesn't tell again when it reuses one.
+const BUNDLES_FILE = 'bundles.json';
+
+// Besides src/: the marko-starter and lasso configuration, the plugin that makes the shared bundles and the legacy transform.
+const CONFIG_FILES = ['project.js', 'package.json', 'tasks/lasso-bundles.js', 'tasks/lasso-legacy-babel.js'];
+
+// Installed with marko-starter or other packages rather than listed in package.json, but what builds the bundles.
+const BUILD_PACKAGES = ['lasso', 'lasso-marko', 'babel-core', 'caniuse-lite'];
+
+// Target settings that only matter once lasso is done (publishing, sitemap.xml).
+const UNKEYED_SETTINGS = ['publishDir', 'origin', 'sitemap'];
+
+// The outcome for every target built by this process, or by its workers (see stage-workers.js).
+let results = [];
+
+function relative(dir, file) {
+  return path.relative(dir, file).split(path.sep).join('/');
+}
+
+function installedVersions() {
+  const names = Object.keys(Object.assign({}, packageConfig.dependencies, packageConfig.devDependencies));
+  return names.concat(BUILD_PACKAGES).sort().map(name => {
+    const file = path.resolve('node_modules', name, 'package.json');
+    return `${name}@${fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).version : 'missing'}`;
+  });
+}
+
+/**
+ * The key of what lasso writes for `target`: a hash of every file under
+ * src/ (compiled .marko.js files aside), the configuration files, the
+ * installed version of each package the build uses and the target's
+ * settings. Anything else changing doesn't need new bundles.
+ */
+function cacheKey(target) {
+  const hash = crypto.createHash('sha256');
+  const settings = Object.assign({}, target);
+  UNKEYED_SETTINGS.forEach(name => delete settings[name]);
+
+  hash.update(JSON.stringify(settings)).update(installedVersions().join('\n'));
+  listFiles(path.resolve('src'))
+    .filter(file => !/\.marko\.js$/.test(file))
+    .concat(CONFIG_FILES.map(file => path.resolve(file)))
+    .sort()
+    .forEach(file => hash.update(`\0${relative(process.cwd(), file)}\0`).update(fs.readFileSync(file)));
+  return hash.digest('hex').slice(0, 16);
+}
+
+// Copies the entry back into the (empty) lasso cache and static dir of `target` and returns what it holds.
+function restore(entry, target) {
+  const staticDir = path.resolve(target.outputDir, 'static');
+  fs.cpSync(path.join(entry, 'lasso'), path.resolve(target.cacheDir), { recursive: true });
+  fs.cpSync(path.join(entry, 'static'), staticDir, { recursive: true });
+  return {
+    files: listFiles(staticDir).length,
+    bundles: JSON.parse(fs.readFileSync(path.join(entry, BUNDLES_FILE), 'utf8'))
+  };
+}
+
+// Replaces the entry with the lasso cache and static dir `target` was just built with.
+function save(entry, target) {
+  const staticDir = path.resolve(target.outputDir, 'static');
+  const partial = `${entry}.partial`;
+  const bundles = {};
+
+  listFiles(staticDir).forEach(file => {
+    const info = lassoBundles.bundleInfo(file);
+    if (info) {
+      bundles[relative(staticDir, file)] = info;
+    }
+  });
+  fs.rmSync(partial, { recursive: true, force: true });
+  fs.cpSync(path.resolve(target.cacheDir), path.join(partial, 'lasso'), { recursive: true });
+  fs.cpSync(staticDir, path.join(partial, 'static'), { recursive: true });
+  fs.writeFileSync(path.join(partial, BUNDLES_FILE), JSON.stringify(bundles));
+  fs.rmSync(entry, { recursive: true, force: true });
+  fs.renameSync(partial, entry);
+  return listFiles(path.join(entry, 'static')).length;
+}
+
+function prune(dir) {
+  fs.readdirSync(dir)
+    .map(name => path.join(dir, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)
+    .slice(KEEP_ENTRIES)
+    .forEach(entry => fs.rmSync(entry, { recursive: true, force: true }));
+}
+
+function describe(result) {
+  switch (result.status) {
+    case 'hit':
+      return `Build cache hit for ${result.target} (${result.key}): reused ${result.files} static files and lasso's page results`;
+    case 'miss':
+      return `Build cache miss for ${result.target} (${result.key}): bundled from scratch, saved ${result.files} static files`;
+    default:
+      return `Build cache skipped for ${result.target} (--no-cache)`;
+  }
+}
+
+// Adds `result` to the report of this process, and of the build that forked it if it is a worker.
+function record(result) {
+  results.push(result);
+  if (process.send) {
+    process.send({ buildCache: result });
+  }
+}
+
+/**
+ * Runs `build`, which builds `target` with lasso into its freshly cleaned
+ * outputDir and cacheDir, reusing the bundles and lasso's page results of an
+ * earlier build with the same cacheKey() when there is one: lasso then has
+ * nothing left to bundle, and only the pages are rendered again (with the
+ * build info of this build). Otherwise what the build wrote is saved for the
+ * next one. With `options.enabled` false (--no-cache) the cache is neither
+ * read nor written.
+ */
+function cached(target, options, build) {
+  const name = path.basename(target.cacheDir);
+  if (options && options.enabled === false) {
+    const result = { target: name, status: 'skipped' };
+    console.info(describe(result));
+    record(result);
+    return build();
+  }
+
+  const dir = path.resolve(CACHE_DIR, name);
+  const key = cacheKey(target);
+  const entry = path.join(dir, key);
+  const restored = fs.existsSync(entry) ? restore(entry, target) : undefined;
+
+  return build().then(built => {
+    const staticDir = path.resolve(target.outputDir, 'static');
+    let result;
+    if (restored) {
+      Object.keys(restored.bundles).forEach(file => lassoBundles.restoreBundleInfo(path.join(staticDir, file), restored.bundles[file]));
+      const now = new Date();
+      fs.utimesSync(entry, now, now);
+      result = { target: name, key, status: 'hit', files: restored.files };
+    } else {
+      fs.mkdirSync(dir, { recursive: true });
+      result = { target: name, key, status: 'miss', files: save(entry, target) };
+    }
+    prune(dir);
+    console.info(describe(result));
+    record(result);
+    return built;
+  });
+}
+
+// Prints how many targets hit, missed or skipped the cache since the last report.
+function report() {
+  const names = status => results.filter(result => result.status === status).map(result => result.target);
+  const counts = [['hit', 'hits'], ['miss', 'misses'], ['skipped', 'skipped']]
+    .map(labels => ({ labels, targets: names(labels[0]) }))
+    .filter(count => count.targets.length)
+    .map(count => `${count.targets.length} ${count.labels[count.targets.length === 1 ? 0 : 1]} (${count.targets.join(', ')})`);
+
+  if (counts.length) {
+    console.info(`Build cache: ${counts.join(', ')}`);
+  }
+  results = [];
+}
+
+exports.CACHE_DIR = CACHE_DIR;
+exports.cacheKey = cacheKey;
+exports.cached = cached;
+exports.record = record;
+exports.report = report;
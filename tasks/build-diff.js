@@ -0,0 +1,332 @@
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const jsdiff = require('diff');
+const manifest = require('./manifest');
+
+// `<name>-<fingerprint>.<ext>`, as lasso and the web app step name the files they write.
+const FINGERPRINT = /-[0-9a-f]{8}(?=\.[a-z0-9]+$)/;
+
+// Lines of each page diff printed; the rest is counted.
+const MAX_DIFF_LINES = 80;
+
+function relative(dir, file) {
+  return path.relative(dir, file).split(path.sep).join('/');
+}
+
+// The files of the build output `dir` on disk: `{ label, files: [relative path], read(file) }`.
+function directorySource(dir) {
+  dir = path.resolve(dir);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`${relative(process.cwd(), dir)} doesn't exist`);
+  }
+  const label = relative(process.cwd(), dir) || '.';
+  return {
+    label: label.startsWith('..') ? dir : label,
+    files: manifest.listFiles(dir).map(file => relative(dir, file)),
+    read: file => fs.readFileSync(path.join(dir, file))
+  };
+}
+
+// The files of the build output `dir` as committed at the git `ref`, like directorySource().
+function gitSource(ref, dir) {
+  const prefix = `${relative(process.cwd(), path.resolve(dir))}/`;
+  function git(args) {
+    try {
+      return childProcess.execFileSync('git', args, { stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024 });
+    } catch (err) {
+      throw new Error(`Can't read ${prefix} at git ref "${ref}": ${String(err.stderr || err.message).trim()}`);
+    }
+  }
+  return {
+    label: `${prefix} at ${ref}`,
+    files: git(['ls-tree', '-r', '-z', '--name-only', ref, '--', prefix]).toString()
+      .split('\0')
+      .filter(Boolean)
+      .map(file => file.slice(prefix.length)),
+    read: file => git(['show', `${ref}:./${prefix}${file}`])
+  };
+}
+
+/**
+ * The JS files of the build manifest `recorded` that are transpiled bundles:
+ * the nomodule ones of a differential target, and those of targets without
+ * modern bundles, which lasso records no `variants` for. A file any target
+ * recorded as a modern bundle isn't one.
+ */
+function legacyBundles(recorded) {
+  const variants = {};
+  Object.keys(recorded.targets || {}).forEach(name => {
+    const assets = recorded.targets[name].assets || {};
+    Object.keys(assets).filter(asset => /\.js$/.test(asset)).forEach(asset => {
+      variants[asset] = (variants[asset] || []).concat(assets[asset].variants || ['legacy']);
+    });
+  });
+  return new Set(Object.keys(variants).filter(asset => variants[asset].indexOf('modern') === -1).map(asset => `static/${asset}`));
+}
+
+// What an asset is compared under: its name without the fingerprint, and ` (legacy)` for the `legacy` bundles.
+function assetKey(file, legacy) {
+  return `${file.replace(FINGERPRINT, '')}${legacy.has(file) ? ' (legacy)' : ''}`;
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Precompressed copies change with their file, and the manifest is what the rest describes.
+function isDescribed(files) {
+  return file => file !== manifest.MANIFEST_FILE && !(/\.(gz|br)$/.test(file) && files.has(file.replace(/\.(gz|br)$/, '')));
+}
+
+/**
+ * Describes the build output in `source`: its pages by path, with their size,
+ * sha256, `text` normalized (see manifest.normalizeHtml()) and its sha256, its fingerprinted and static files grouped by
+ * their name without the fingerprint (and, when the build manifest knows it,
+ * ` (legacy)` for transpiled bundles), and the sha256 of its other files.
+ */
+function describeOutput(source) {
+  const legacy = source.files.indexOf(manifest.MANIFEST_FILE) === -1 ? new Set() :
+    legacyBundles(JSON.parse(source.read(manifest.MANIFEST_FILE).toString()));
+  const output = { label: source.label, pages: {}, assets: {}, other: {} };
+
+  source.files.filter(isDescribed(new Set(source.files))).forEach(file => {
+    const content = source.read(file);
+    if (path.extname(file) === '.html') {
+      const text = manifest.normalizeHtml(content.toString());
+      output.pages[file] = { size: content.length, sha256: sha256(content), contentSha256: sha256(text), text };
+      return;
+    }
+    if (!FINGERPRINT.test(path.posix.basename(file)) && !file.startsWith('static/')) {
+      output.other[file] = sha256(content);
+      return;
+    }
+    const key = assetKey(file, legacy);
+    (output.assets[key] = output.assets[key] || []).push({
+      file,
+      size: content.length,
+      gzipSize: zlib.gzipSync(content).length
+    });
+  });
+  return output;
+}
+
+/**
+ * Describes the build the manifest `file` was written for like
+ * describeOutput(), from what the manifest records alone: its pages without
+ * `text`, its static files, and its other `files` without sha256 (`null`).
+ * Files it lists but has no record of, such as main.html, are `{}`.
+ */
+function describeManifest(file) {
+  file = path.resolve(file);
+  const relativeLabel = relative(process.cwd(), file);
+  const label = relativeLabel.startsWith('..') ? file : relativeLabel;
+  if (!fs.existsSync(file)) {
+    throw new Error(`${label} doesn't exist`);
+  }
+  const recorded = manifest.readManifest(file);
+  const legacy = legacyBundles(recorded);
+  const output = { label, manifest: true, pages: {}, assets: {}, other: {} };
+  const assetFiles = new Set();
+
+  Object.keys(recorded.targets || {}).forEach(name => {
+    const section = recorded.targets[name];
+    (section.pages || []).forEach(page => {
+      output.pages[page.file] = { size: page.size, sha256: page.sha256, contentSha256: page.contentSha256 };
+    });
+    Object.keys(section.assets || {}).map(asset => `static/${asset}`).filter(asset => !assetFiles.has(asset)).forEach(asset => {
+      const key = assetKey(asset, legacy);
+      const info = section.assets[asset.slice('static/'.length)];
+      assetFiles.add(asset);
+      (output.assets[key] = output.assets[key] || []).push({ file: asset, size: info.size, gzipSize: info.gzipSize });
+    });
+  });
+
+  const files = recorded.files || [];
+  files.filter(isDescribed(new Set(files))).filter(name => !output.pages[name] && !assetFiles.has(name)).forEach(name => {
+    if (path.extname(name) === '.html') {
+      output.pages[name] = {};
+    } else if (!FINGERPRINT.test(path.posix.basename(name)) && !name.startsWith('static/')) {
+      output.other[name] = null;
+    }
+  });
+  return output;
+}
+
+function sum(files, property) {
+  return (files || []).reduce((total, file) => total + file[property], 0);
+}
+
+function union(a, b) {
+  return Array.from(new Set(Object.keys(a).concat(Object.keys(b)))).sort();
+}
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Whether `was` and `is` are the same page: by their normalized text, or
+ * without it by its hash, or by the page's own hash for manifests written
+ * before they recorded that. A page either side has no record of counts as
+ * the same.
+ */
+function samePage(was, is) {
+  if (was.text !== undefined && is.text !== undefined) {
+    return was.text === is.text;
+  }
+  if (was.contentSha256 !== undefined && is.contentSha256 !== undefined) {
+    return was.contentSha256 === is.contentSha256;
+  }
+  return was.sha256 === undefined || is.sha256 === undefined || was.sha256 === is.sha256;
+}
+
+/**
+ * Compares two outputs from describeOutput() or describeManifest(): `{
+ * pages: { added, removed, changed: [{ file, diff, before, after }],
+ * unchanged, byHash }, bundles: [{ name, files, before, after, gzipBefore,
+ * gzipAfter }], fingerprints: [{ name, before, after }], assets: { added,
+ * removed }, other: { added, removed, changed } }`. A changed page has a
+ * `diff` when both sides have its text, and otherwise only its size
+ * `before` and `after`; `byHash` says pages were compared that way. Several
+ * files under one name (bundles of targets built with different flags) are
+ * compared as a group.
+ */
+function compareOutputs(before, after) {
+  const pages = { added: [], removed: [], changed: [], unchanged: 0, byHash: Boolean(before.manifest || after.manifest) };
+  union(before.pages, after.pages).forEach(file => {
+    const was = before.pages[file];
+    const is = after.pages[file];
+    if (!was) {
+      pages.added.push(file);
+    } else if (!is) {
+      pages.removed.push(file);
+    } else if (samePage(was, is)) {
+      pages.unchanged++;
+    } else if (was.text !== undefined && is.text !== undefined) {
+      pages.changed.push({
+        file,
+        diff: jsdiff.createTwoFilesPatch(`a/${file}`, `b/${file}`, `${was.text}\n`, `${is.text}\n`)
+          .split('\n').slice(1).join('\n').trim()
+      });
+    } else {
+      pages.changed.push({ file, before: was.size, after: is.size });
+    }
+  });
+
+  const assets = { added: [], removed: [] };
+  const fingerprints = [];
+  const bundles = [];
+  union(before.assets, after.assets).forEach(name => {
+    const was = before.assets[name];
+    const is = after.assets[name];
+    if (!was) {
+      assets.added.push(name);
+    } else if (!is) {
+      assets.removed.push(name);
+    } else {
+      const wasFiles = was.map(file => file.file).sort();
+      const isFiles = is.map(file => file.file).sort();
+      if (wasFiles.join() !== isFiles.join()) {
+        fingerprints.push({ name, before: wasFiles, after: isFiles });
+      }
+    }
+    if (/\.(js|css)$/.test(name.replace(/ \(legacy\)$/, ''))) {
+      bundles.push({
+        name,
+        files: Math.max((was || []).length, (is || []).length),
+        before: was && sum(was, 'size'),
+        after: is && sum(is, 'size'),
+        gzipBefore: was && sum(was, 'gzipSize'),
+        gzipAfter: is && sum(is, 'gzipSize')
+      });
+    }
+  });
+
+  const other = { added: [], removed: [], changed: [] };
+  union(before.other, after.other).forEach(file => {
+    if (!has(before.other, file)) {
+      other.added.push(file);
+    } else if (!has(after.other, file)) {
+      other.removed.push(file);
+    } else if (before.other[file] && after.other[file] && before.other[file] !== after.other[file]) {
+      other.changed.push(file);
+    }
+  });
+
+  return { before: before.label, after: after.label, pages, bundles, fingerprints, assets, other };
+}
+
+function formatSize(bytes) {
+  return bytes === undefined ? '-' : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+function formatDelta(before, after) {
+  if (before === undefined || after === undefined) {
+    return '';
+  }
+  const delta = after - before;
+  const percent = before ? ` (${delta >= 0 ? '+' : ''}${((delta / before) * 100).toFixed(1)}%)` : '';
+  return `${delta >= 0 ? '+' : '-'}${formatSize(Math.abs(delta))}${percent}`;
+}
+
+function list(title, names) {
+  return names.length ? [`${title}:`].concat(names.map(name => `  ${name}`)) : [];
+}
+
+function truncate(diff) {
+  const lines = diff.split('\n');
+  if (lines.length <= MAX_DIFF_LINES) {
+    return lines;
+  }
+  return lines.slice(0, MAX_DIFF_LINES).concat(`… ${lines.length - MAX_DIFF_LINES} more lines`);
+}
+
+// The report of a compareOutputs() result.
+function formatReport(result) {
+  const pages = result.pages;
+  const lines = [`Comparing ${result.before} with ${result.after}`, ''];
+
+  lines.push(`Pages: ${pages.added.length} added, ${pages.removed.length} removed, ${pages.changed.length} changed, ${pages.unchanged} unchanged${pages.byHash ? ' (by hash: a build manifest has no page contents to diff)' : ''}`);
+  lines.push(...list('Added pages', pages.added), ...list('Removed pages', pages.removed));
+  pages.changed.forEach(page => {
+    if (page.diff === undefined) {
+      lines.push(`Changed page ${page.file}: ${page.before} -> ${page.after} bytes`);
+    } else {
+      lines.push('', `Changed page ${page.file}:`, ...truncate(page.diff));
+    }
+  });
+
+  if (result.bundles.length) {
+    const rows = result.bundles.map(bundle => [
+      `${bundle.name}${bundle.files > 1 ? ` (${bundle.files} files)` : ''}`,
+      formatSize(bundle.before),
+      formatSize(bundle.after),
+      formatDelta(bundle.before, bundle.after),
+      formatDelta(bundle.gzipBefore, bundle.gzipAfter)
+    ]);
+    const header = ['Bundle', 'Before', 'After', 'Delta', 'Gzipped delta'];
+    const widths = header.map((cell, column) => Math.max(...[header].concat(rows).map(row => row[column].length)));
+    lines.push('', ...[header].concat(rows).map(row => `  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd()));
+  }
+
+  lines.push('', `Assets with a new fingerprint: ${result.fingerprints.length}`);
+  result.fingerprints.forEach(asset => lines.push(`  ${asset.name}: ${asset.before.join(', ')} -> ${asset.after.join(', ')}`));
+  lines.push(...list('Added assets', result.assets.added), ...list('Removed assets', result.assets.removed));
+
+  const other = result.other;
+  if (other.added.length || other.removed.length || other.changed.length) {
+    lines.push('', ...list('Added files', other.added), ...list('Removed files', other.removed), ...list('Changed files', other.changed));
+  }
+  return lines.join('\n');
+}
+
+exports.MAX_DIFF_LINES = MAX_DIFF_LINES;
+exports.directorySource = directorySource;
+exports.gitSource = gitSource;
+exports.describeOutput = describeOutput;
+exports.describeManifest = describeManifest;
+exports.compareOutputs = compareOutputs;
+exports.formatReport = formatReport;
@@ -0,0 +1,56 @@
+// The lines after the first indented under it, as marko lists the file:line of each error in a template after its header.
+function indent(text) {
+  return String(text).trim().split('\n').map(line => line.trim()).join('\n    ');
+}
+
+function isLassoError(err) {
+  return /lasso/i.test(err.stack || String(err));
+}
+
+function describe(err) {
+  return { message: indent(err.message || err), lasso: isLassoError(err), error: err };
+}
+
+/**
+ * A failed build of one target. `pages` holds one entry per page that failed
+ * to render and `cause` the error that stopped the build outside of a page,
+ * each flagged with whether it came out of lasso (bundling, resources).
+ * gulp prints `toString()` instead of the stack because `showStack` is false.
+ */
+class BuildError extends Error {
+  constructor(target, details) {
+    let pages = details.pages || [];
+    let failed = pages.length ? ` (${pages.map(page => page.page).join(', ')})` : '';
+    super(`Build of target "${target}" failed${failed}`);
+
+    this.name = 'BuildError';
+    this.target = target;
+    this.pages = pages;
+    this.cause = details.cause;
+    this.showStack = false;
+  }
+
+  toString() {
+    let lines = [this.message];
+    this.pages.forEach(page => {
+      lines.push(`  page ${page.page}: ${page.lasso ? '[lasso] ' : ''}${page.message}`);
+    });
+    if (this.cause) {
+      lines.push(`  ${this.cause.lasso ? '[lasso] ' : ''}${this.cause.stack || this.cause.message}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Collects the errors thrown while rendering pages (each tagged with the
+ * `page` it was rendering) and an optional error from outside the pages.
+ */
+BuildError.fromPageErrors = function (target, pageErrors, cause) {
+  return new BuildError(target, {
+    pages: pageErrors.map(err => Object.assign({ page: err.page }, describe(err))),
+    cause: cause && Object.assign(describe(cause), { stack: cause.stack })
+  });
+};
+
+module.exports = BuildError;
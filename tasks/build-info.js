@@ -0,0 +1,42 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const packageConfig = require('../package.json');
+
+const VERSION_FILE = 'version.json';
+
+function git(args) {
+  try {
+    return childProcess.execFileSync('git', args, { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (err) {
+    // not a git checkout, or git isn't installed
+    return undefined;
+  }
+}
+
+/**
+ * What a build of `target` was made from: the package.json version, the git
+ * commit (and whether the working tree had uncommitted changes), when it was
+ * built and the target name (and deploy profile, if any). Pages get it as `out.global.build`, the browser
+ * as `window.BUILD_INFO`, and every build writes it to version.json.
+ */
+function createBuildInfo(target) {
+  const status = git(['status', '--porcelain']);
+  return {
+    version: packageConfig.version,
+    commit: git(['rev-parse', 'HEAD']),
+    dirty: status === undefined ? undefined : status.length > 0,
+    builtAt: new Date().toISOString(),
+    target: target.name,
+    profile: target.profile
+  };
+}
+
+function writeVersionFile(dir, build) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, VERSION_FILE), `${JSON.stringify(build, null, 2)}\n`);
+}
+
+exports.VERSION_FILE = VERSION_FILE;
+exports.createBuildInfo = createBuildInfo;
+exports.writeVersionFile = writeVersionFile;
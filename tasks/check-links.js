@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const manifest = require('./manifest');
+
+const ATTRIBUTE = /\s(?:src|href)=(?:"([^"]*)"|'([^']*)'|([^"'\s>]+))/g;
+const CSS_URL = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^"')\s]*))\s*\)/g;
+
+function isExternal(url) {
+  return !url || url.charAt(0) === '#' || url.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+function references(content, type) {
+  const patterns = type === '.css' ? [CSS_URL] : [ATTRIBUTE, CSS_URL];
+  const urls = [];
+  patterns.forEach(pattern => {
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(content))) {
+      urls.push(match[1] || match[2] || match[3] || '');
+    }
+  });
+  return urls.filter(url => !isExternal(url));
+}
+
+function exists(file) {
+  return fs.existsSync(file) && (fs.statSync(file).isFile() || fs.existsSync(path.join(file, 'index.html')));
+}
+
+/**
+ * Why `url`, found in `file`, does not resolve to anything under `root`
+ * when the tree is served the way `target` is (root-relative URLs have to
+ * start with its link prefix), or undefined when it does.
+ */
+function checkUrl(root, file, url, target) {
+  const pathname = decodeURI(url.split(/[?#]/)[0]);
+  const prefix = (target.links && target.links.prefix) || '';
+  let resolved;
+
+  if (pathname.charAt(0) === '/') {
+    if (prefix && pathname !== prefix && !pathname.startsWith(`${prefix}/`)) {
+      return `outside the ${prefix} base URL of target "${target.name}"`;
+    }
+    resolved = path.join(root, pathname.slice(prefix.length));
+  } else {
+    resolved = path.resolve(path.dirname(file), pathname);
+  }
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    return 'points outside the output';
+  }
+  return exists(resolved) ? undefined : 'not found';
+}
+
+/**
+ * Where a broken link in `page` most likely comes from: the templates among
+ * the page's sources that contain the URL (or the URL without the target's
+ * link prefix, as written before `<a-rel>` added it), otherwise the page's
+ * source directory.
+ */
+function findSources(page, url, target) {
+  if (!page) {
+    return [];
+  }
+  const prefix = (target.links && target.links.prefix) || '';
+  const candidates = [url, prefix && url.startsWith(prefix) ? url.slice(prefix.length) || '/' : undefined].filter(Boolean);
+  const sourceDir = path.resolve(page.source);
+  const templates = manifest.listFiles(sourceDir)
+    .filter(file => /\.marko$/.test(file))
+    .concat(manifest.listFiles(path.resolve('src', 'components')).filter(file => /\.marko$/.test(file)))
+    .filter(file => {
+      const content = fs.readFileSync(file, 'utf8');
+      return candidates.some(candidate => content.indexOf(`"${candidate}"`) !== -1);
+    });
+  const found = templates.length ? templates : [path.join(sourceDir, 'index.marko')];
+  return Array.from(new Set(found)).map(file => path.relative(process.cwd(), file).split(path.sep).join('/'));
+}
+
+// Whether a client-side router handles `url` on `page`, see `clientRoutes` in checkTree().
+function isClientRoute(page, url, clientRoutes) {
+  return Boolean(page) && Object.keys(clientRoutes || {}).some(source => {
+    return (page.source === source || page.source.startsWith(`${source}/`)) && clientRoutes[source].indexOf(url) !== -1;
+  });
+}
+
+/**
+ * Checks every href, src and CSS url() in the HTML and CSS files under
+ * `root`, served the way `target` is. `pages` (the pages of a target section
+ * of the build manifest) maps output files back to the templates that
+ * produced them. `clientRoutes` maps a source directory to the paths a
+ * client-side router handles on the pages built from it. Returns the broken
+ * links as `{ file, url, reason, sources }`.
+ */
+function checkTree(root, target, pages, clientRoutes) {
+  const broken = [];
+  root = path.resolve(root);
+
+  manifest.listFiles(root)
+    .filter(file => /\.(html|css)$/.test(file))
+    .forEach(file => {
+      const name = path.relative(root, file).split(path.sep).join('/');
+      const page = (pages || []).find(candidate => candidate.file === name);
+      const seen = new Set();
+
+      references(fs.readFileSync(file, 'utf8'), path.extname(file)).forEach(url => {
+        const reason = !seen.has(url) && !isClientRoute(page, url, clientRoutes) && checkUrl(root, file, url, target);
+        seen.add(url);
+        if (reason) {
+          broken.push({ file: name, url, reason, sources: findSources(page, url, target) });
+        }
+      });
+    });
+  return broken;
+}
+
+function report(broken) {
+  return broken.map(link => {
+    const sources = link.sources.length ? ` (from ${link.sources.join(', ')})` : '';
+    return `  ${link.file}: ${link.url} ${link.reason}${sources}`;
+  }).join('\n');
+}
+
+/**
+ * Checks the tree under `root` and throws when it has broken links, listing
+ * each one with the file it is in and its source template.
+ */
+function enforce(root, target, pages, clientRoutes) {
+  const broken = checkTree(root, target, pages, clientRoutes);
+  if (broken.length) {
+    throw Object.assign(new Error(`${broken.length} broken link(s) in ${path.relative(process.cwd(), path.resolve(root)) || '.'} for target "${target.name}":\n${report(broken)}`), {
+      showStack: false
+    });
+  }
+  console.log(`No broken links in ${path.relative(process.cwd(), path.resolve(root)) || '.'} for target "${target.name}"`);
+}
+
+exports.checkUrl = checkUrl;
+exports.checkTree = checkTree;
+exports.enforce = enforce;
@@ -0,0 +1,139 @@
+const del = require('del');
+const fs = require('fs');
+const path = require('path');
+const manifest = require('./manifest');
+const packageConfig = require('../package.json');
+
+// Hand-maintained files GitHub Pages needs in docs/, plus package.json `protectedFiles` (globs relative to the cleaned directory).
+const PROTECTED = ['CNAME', '.nojekyll', '404.html'].concat(packageConfig.protectedFiles || []);
+
+function relative(dir, file) {
+  return path.relative(dir, file).split(path.sep).join('/');
+}
+
+/**
+ * The files the last build wrote to `dir`, relative to it, according to the
+ * build manifest there: its `files`, or for a manifest from before those
+ * were recorded, the pages and static files of its target sections. Empty
+ * when there is no manifest.
+ */
+function builtFiles(dir) {
+  const file = path.join(dir, manifest.MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const recorded = manifest.readManifest(file);
+  const files = recorded.files || Object.keys(recorded.targets).reduce((found, name) => {
+    const section = recorded.targets[name];
+    return found
+      .concat(section.pages.map(page => page.file))
+      .concat(Object.keys(section.assets).map(asset => `static/${asset}`));
+  }, []);
+  return Array.from(new Set(files.concat(manifest.MANIFEST_FILE)));
+}
+
+// Removes the directories `files` were in, deepest first, once nothing is left in them.
+function removeEmptyDirs(dir, files) {
+  const dirs = new Set();
+  files.forEach(file => {
+    for (let parent = path.dirname(file); parent.startsWith(dir + path.sep); parent = path.dirname(parent)) {
+      dirs.add(parent);
+    }
+  });
+  Array.from(dirs)
+    .sort((a, b) => b.length - a.length)
+    .forEach(parent => {
+      if (fs.existsSync(parent) && !fs.readdirSync(parent).length) {
+        fs.rmdirSync(parent);
+      }
+    });
+}
+
+/**
+ * Deletes what the last build wrote to `dir` (see builtFiles()), never
+ * touching `PROTECTED` files or anything the build didn't create. With
+ * `options.dryRun` nothing is deleted. Resolves to the absolute paths
+ * deleted, or that would be.
+ */
+function cleanBuilt(dir, options) {
+  dir = path.resolve(dir);
+  const dryRun = Boolean(options && options.dryRun);
+
+  return del(builtFiles(dir), { cwd: dir, dot: true, ignore: PROTECTED, dryRun }).then(deleted => {
+    if (!dryRun) {
+      removeEmptyDirs(dir, deleted);
+    }
+    return deleted;
+  });
+}
+
+// Deletes everything in `dir` except `PROTECTED` files and the `options.keep` globs, for directories only builds write to.
+function cleanAll(dir, options) {
+  dir = path.resolve(dir);
+  const dryRun = Boolean(options && options.dryRun);
+  const ignore = PROTECTED.concat((options && options.keep) || []);
+
+  if (!fs.existsSync(dir)) {
+    return Promise.resolve([]);
+  }
+  return del(['**/*'], { cwd: dir, dot: true, nodir: true, ignore, dryRun }).then(deleted => {
+    if (!dryRun) {
+      removeEmptyDirs(dir, deleted);
+    }
+    return deleted;
+  });
+}
+
+// What is in `dir` now, to tell the files a build writes afterwards from those that were already there.
+function snapshot(dir) {
+  const files = new Map();
+  manifest.listFiles(path.resolve(dir)).forEach(file => {
+    const stat = fs.statSync(file);
+    files.set(file, `${stat.size}:${stat.mtimeMs}`);
+  });
+  return files;
+}
+
+/**
+ * Deletes the files that were in `dir` before publishing (`before`, a
+ * snapshot()) and that publishing left as they were, other than the `kept`
+ * ones (relative to `dir`) and `PROTECTED` files. For a `dir` without a build
+ * manifest, where cleanBuilt() has nothing to go on, such as a docs/
+ * published before there was one. Resolves to the absolute paths deleted.
+ */
+function cleanStale(dir, before, kept) {
+  dir = path.resolve(dir);
+  const now = snapshot(dir);
+  const stale = Array.from(before.keys())
+    .filter(file => now.get(file) === before.get(file))
+    .map(file => relative(dir, file))
+    .filter(file => kept.indexOf(file) === -1);
+
+  return del(stale, { cwd: dir, dot: true, ignore: PROTECTED }).then(deleted => {
+    removeEmptyDirs(dir, deleted);
+    return deleted;
+  });
+}
+
+/**
+ * Records in the build manifest of `dir` every file that was added or
+ * changed there since `before` (a snapshot() taken after cleaning it), so
+ * the next clean removes those and only those.
+ */
+function recordBuilt(dir, before) {
+  dir = path.resolve(dir);
+  const written = Array.from(snapshot(dir))
+    .filter(entry => before.get(entry[0]) !== entry[1])
+    .map(entry => relative(dir, entry[0]))
+    .sort();
+  manifest.recordFiles(dir, written);
+  return written;
+}
+
+exports.PROTECTED = PROTECTED;
+exports.builtFiles = builtFiles;
+exports.cleanBuilt = cleanBuilt;
+exports.cleanAll = cleanAll;
+exports.snapshot = snapshot;
+exports.cleanStale = cleanStale;
+exports.recordBuilt = recordBuilt;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const targets = require('../targets');
+
+const CONFIG_FILE = 'config.xml';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function author(packageConfig) {
+  const value = packageConfig.author;
+  if (!value) {
+    return undefined;
+  }
+  return typeof value === 'string' ? { name: value } : value;
+}
+
+/**
+ * The Cordova config.xml for `target`. The app id and name come from the
+ * `cordova` section of package.json (the name falls back to the package
+ * name), the version, description and author from package.json itself, and
+ * the start page is the target's `entry` page.
+ */
+function configXml(packageConfig, target) {
+  const app = packageConfig.cordova || {};
+  if (!app.id) {
+    throw new Error('package.json needs a "cordova": { "id": "..." } entry to build the Cordova project');
+  }
+  const appAuthor = author(packageConfig);
+  const lines = [
+    `<?xml version='1.0' encoding='utf-8'?>`,
+    `<widget id="${escapeXml(app.id)}" version="${escapeXml(packageConfig.version)}" xmlns="http://www.w3.org/ns/widgets" xmlns:cdv="http://cordova.apache.org/ns/1.0">`,
+    `    <name>${escapeXml(app.name || packageConfig.name)}</name>`,
+    `    <description>${escapeXml(packageConfig.description || '')}</description>`
+  ];
+
+  if (appAuthor) {
+    const attributes = ['email', 'url']
+      .filter(name => appAuthor[name])
+      .map(name => ` ${name === 'url' ? 'href' : name}="${escapeXml(appAuthor[name])}"`)
+      .join('');
+    lines.push(`    <author${attributes}>${escapeXml(appAuthor.name || '')}</author>`);
+  }
+
+  return lines.concat([
+    `    <content src="${escapeXml(targets.pageFile(target, target.entry || '/'))}" />`,
+    `    <access origin="*" />`,
+    `    <allow-intent href="http://*/*" />`,
+    `    <allow-intent href="https://*/*" />`,
+    `</widget>`,
+    ''
+  ]).join('\n');
+}
+
+function writeConfig(dir, packageConfig, target) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, CONFIG_FILE), configXml(packageConfig, target));
+}
+
+exports.CONFIG_FILE = CONFIG_FILE;
+exports.configXml = configXml;
+exports.writeConfig = writeConfig;
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+// lasso internals, not its public API: package.json pins lasso to the exact version these were written against
+const intersection = require('lasso/src/dependencies/dependency-intersection');
+const dependencyWalker = require('lasso/src/dependency-walker');
+
+const srcDir = path.resolve('src');
+
+// A module goes to a shared bundle once this many page templates pull it in.
+const SHARED_THRESHOLD = 2;
+
+// Dependencies of every bundle lasso wrote, keyed by output file.
+let written = {};
+
+function relative(file) {
+  return path.relative(process.cwd(), file).split(path.sep).join('/');
+}
+
+function sourceFile(dependency) {
+  const file = dependency.getSourceFile && dependency.getSourceFile();
+  return file && fs.existsSync(file) ? file : undefined;
+}
+
+/**
+ * Where a dependency was declared: the browser.json listing it, the
+ * project.js `bundles` entry it was mapped to, or the template whose
+ * require() chain pulled it in.
+ */
+function declaredBy(dependencyChain, bundleName, projectBundles) {
+  const packages = dependencyChain.filter(dep => dep.type === 'package' && dep.path);
+  if (packages.length) {
+    return relative(packages[packages.length - 1].path);
+  }
+  if (projectBundles.indexOf(bundleName) !== -1) {
+    return `project.js bundles.${bundleName}`;
+  }
+  const templates = dependencyChain.filter(dep => dep.type === 'marko-dependencies' && dep.path);
+  return templates.length ? relative(templates[templates.length - 1].path) : undefined;
+}
+
+function isProjectSource(dependency) {
+  const file = sourceFile(dependency);
+  return Boolean(file) && file.startsWith(srcDir + path.sep);
+}
+
+/**
+ * Like lasso's `intersection`, but a module counts once per page template
+ * in `dependencies` however many times that page reaches it, templates
+ * another page embeds as a component (the mobile app's own routes) don't
+ * count as pages, and the result is narrowed down to the modules under src/
+ * (`source: "project"`) or everything else, node_modules and the lasso/marko
+ * runtime (`source: "vendor"`).
+ */
+const sharedModules = Object.assign({}, intersection, {
+  properties: Object.assign({ source: 'string' }, intersection.properties),
+
+  async getDependencies(lassoContext) {
+    const pages = await this.dependencies.normalize();
+    const walked = [];
+
+    for (const page of pages) {
+      const modules = new Map();
+
+      // see dependency-intersection.js: the require deduper would hide what earlier pages already walked
+      const phaseData = lassoContext.phaseData;
+      lassoContext.phaseData = {};
+
+      await dependencyWalker.walk({
+        lassoContext,
+        dependency: page,
+        flags: lassoContext.flags,
+        on: {
+          dependency(dependency) {
+            if (!dependency.isPackageDependency()) {
+              modules.set(dependency.getKey(), dependency);
+            }
+          }
+        }
+      });
+
+      lassoContext.phaseData = phaseData;
+      walked.push({ template: page.path, modules, files: new Set(Array.from(modules.values()).map(sourceFile)) });
+    }
+
+    const counts = new Map();
+    walked
+      .filter(page => !walked.some(other => other !== page && other.files.has(page.template)))
+      .forEach(page => page.modules.forEach((dependency, key) => {
+        const entry = counts.get(key) || { dependency, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      }));
+
+    return Array.from(counts.values())
+      .filter(entry => entry.count >= this.threshold.value)
+      .map(entry => entry.dependency)
+      .filter(dependency => isProjectSource(dependency) === (this.source === 'project'));
+  }
+});
+
+/**
+ * lasso plugin that records which dependencies went into each bundle it
+ * writes and where each one was declared. Configured by project.js for
+ * target builds with `{ projectBundles, variant }`, the names from its
+ * `bundles` and, for `differential` targets, which of their builds
+ * (`modern` or `legacy`) this lasso makes. A file both builds came up with
+ * lists both `variants`.
+ */
+function plugin(lasso, config) {
+  const projectBundles = config.projectBundles || [];
+  const variant = config.variant;
+
+  lasso.dependencies.registerPackageType('shared-modules', sharedModules);
+
+  lasso.on('beforeBuildPage', event => {
+    const context = event.context;
+    const chains = new Map();
+
+    context.on('beforeAddDependencyToSyncPageBundle', walkContext => {
+      chains.set(walkContext.dependency, walkContext.dependencyChain);
+    });
+
+    context.on('bundleWritten', event => {
+      const bundle = event.bundle;
+      if (!bundle.outputFile) {
+        return;
+      }
+      const variants = ((written[bundle.outputFile] || {}).variants || []).concat(variant || []);
+      written[bundle.outputFile] = {
+        bundle: bundle.name,
+        variants: variants.length ? Array.from(new Set(variants)) : undefined,
+        dependencies: bundle.dependencies.filter(Boolean).map(dependency => {
+          const file = sourceFile(dependency);
+          return {
+            path: file ? relative(file) : String(dependency),
+            size: file ? fs.statSync(file).size : 0,
+            declaredBy: declaredBy(chains.get(dependency) || [], bundle.name, projectBundles)
+          };
+        })
+      };
+    });
+  });
+}
+
+/**
+ * lasso `bundles` that take the modules used by several of `templates` out
+ * of each page's own bundle: `vendor` for node_modules and the runtime,
+ * `common` for components under src/. Every page using one of them links
+ * the same file instead of carrying its own copy.
+ */
+plugin.sharedBundles = function (templates) {
+  if (templates.length < SHARED_THRESHOLD) {
+    return [];
+  }
+  const pages = templates.map(template => `marko-hydrate: ${template}`);
+  return ['vendor', 'project'].map(source => ({
+    name: source === 'vendor' ? 'vendor' : 'common',
+    dependencies: [{ type: 'shared-modules', source, dependencies: pages, threshold: SHARED_THRESHOLD }]
+  }));
+};
+
+// What was recorded for the bundle written to `outputFile`, if lasso wrote it in this process.
+plugin.bundleInfo = function (outputFile) {
+  return written[path.resolve(outputFile)];
+};
+
+// Puts back `info` recorded by an earlier build for a bundle lasso took from its cache instead of writing it again.
+plugin.restoreBundleInfo = function (outputFile, info) {
+  outputFile = path.resolve(outputFile);
+  written[outputFile] = written[outputFile] || info;
+};
+
+plugin.reset = function () {
+  written = {};
+};
+
+module.exports = plugin;
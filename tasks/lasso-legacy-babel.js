@@ -0,0 +1,70 @@
+const path = require('path');
+const browserslist = require('browserslist');
+const babelTransform = require('lasso-babel-transform');
+
+// The environment of package.json `browserslist` that lists the browsers the legacy bundles are for.
+const BROWSERSLIST_ENV = 'legacy';
+
+// The browserslist names babel-preset-env 1.x (the last one for babel 6, which lasso-babel-transform runs) has data for, by its own names.
+const PRESET_ENV_BROWSERS = {
+  android: 'android',
+  and_chr: 'chrome',
+  and_ff: 'firefox',
+  chrome: 'chrome',
+  edge: 'edge',
+  firefox: 'firefox',
+  ie: 'ie',
+  ios_saf: 'ios',
+  opera: 'opera',
+  safari: 'safari'
+};
+
+// node_modules ship their browser code transpiled already; only the app's own modules go through babel.
+function isAppSource(file) {
+  return Boolean(file) && file.startsWith(process.cwd() + path.sep) &&
+    path.relative(process.cwd(), file).split(path.sep).indexOf('node_modules') === -1;
+}
+
+/**
+ * babel-preset-env `targets` for the browsers of the `legacy` browserslist
+ * environment: the oldest version of each, as preset-env transpiles for the
+ * oldest anyway and its own browserslist is too old to read the queries.
+ */
+function legacyTargets() {
+  const targets = {};
+  browserslist(undefined, { path: process.cwd(), env: BROWSERSLIST_ENV }).forEach(browser => {
+    const parts = browser.split(' ');
+    const name = PRESET_ENV_BROWSERS[parts[0]];
+    // ranges like "ios_saf 15.2-15.3" start with their oldest version; preset-env takes "4.4" but warns about 4.4
+    const version = parts[1].split('-')[0];
+    if (name && !isNaN(parseFloat(version)) && !(parseFloat(targets[name]) <= parseFloat(version))) {
+      targets[name] = version;
+    }
+  });
+  return targets;
+}
+
+function babelOptions() {
+  return {
+    presets: [[require.resolve('babel-preset-env'), { targets: legacyTargets(), modules: false }]],
+    // every line stays where it is in the source, which the maps of tasks/source-maps.js rely on
+    retainLines: true
+  };
+}
+
+/**
+ * lasso require transform that transpiles the app's modules for the
+ * browsers of the `legacy` browserslist environment in package.json. Bundles
+ * lassoed without it are left as they are written, for browsers that load
+ * `<script type="module">` (see `differential` in targets.js). Takes the
+ * `extensions` lasso-babel-transform does.
+ */
+module.exports = {
+  id: __filename,
+  stream: false,
+  createTransform(config) {
+    const transform = babelTransform.createTransform({ extensions: config.extensions, babelOptions: babelOptions() });
+    return (code, lassoContext) => (isAppSource(lassoContext.filename) ? transform(code, lassoContext) : code);
+  },
+  legacyTargets
+};
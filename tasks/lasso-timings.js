@@ -0,0 +1,27 @@
+const timings = require('./timings');
+
+/**
+ * lasso plugin that times each page lasso bundles, from the start of the
+ * build to its result. Pages lasso takes from its cache aren't timed.
+ * Configured by project.js for target builds with `{ variant }`, which of
+ * the two builds of a `differential` target (`modern` or `legacy`) this
+ * lasso makes, added to the page name as both bundle the same pages.
+ */
+module.exports = function plugin(lasso, config) {
+  const building = new WeakMap();
+  const variant = config && config.variant;
+
+  lasso.on('beforeBuildPage', event => {
+    const options = event.options;
+    const name = options.pageName || options.name || 'page';
+    building.set(event.context, timings.start('bundle', variant ? `${name} (${variant})` : name));
+  });
+
+  lasso.on('afterLassoPage', event => {
+    const end = building.get(event.context);
+    if (end) {
+      building.delete(event.context);
+      end();
+    }
+  });
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const lassoBundles = require('./lasso-bundles');
+
+const MANIFEST_FILE = 'build-manifest.json';
+
+// What changes from one build to the next without the page changing: the file names and hashes of the assets it links (reported with the assets), and the build info.
+const VOLATILE = [
+  [/-[0-9a-f]{8}(?=\.[a-z0-9]+\b)/g, '-<fingerprint>'],
+  [/(integrity="sha(?:256|384|512)-)[^"]*"/g, '$1<hash>"'],
+  [/'sha(256|384|512)-[A-Za-z0-9+/=]+'/g, "'sha$1-<hash>'"],
+  [/\b[0-9a-f]{40}\b/g, '<commit>'],
+  [/(Version [^<(]*\()[0-9a-f]{7}\)/g, '$1<commit>)'],
+  [/\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(?:\.\d+)?Z/g, '<time>'],
+  [/(\bdirty"?:)(?:!0|!1|true|false)/g, '$1<dirty>']
+];
+
+function hashFile(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function describeFile(file) {
+  return { size: fs.statSync(file).size, sha256: hashFile(file) };
+}
+
+// A page with what changes between builds by itself replaced, one tag per line.
+function normalizeHtml(html) {
+  return VOLATILE.reduce((normalized, pattern) => normalized.replace(pattern[0], pattern[1]), html)
+    .replace(/>\s*</g, '>\n<')
+    .trim();
+}
+
+// A page's size and sha256, and the sha256 of its normalizeHtml() text, which only changes with the page.
+function describePage(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  return Object.assign(describeFile(file), {
+    contentSha256: crypto.createHash('sha256').update(normalizeHtml(html)).digest('hex')
+  });
+}
+
+function describeStaticFile(file) {
+  return Object.assign(describeFile(file), {
+    gzipSize: zlib.gzipSync(fs.readFileSync(file)).length
+  });
+}
+
+function describeAsset(file) {
+  return Object.assign(describeStaticFile(file), lassoBundles.bundleInfo(file));
+}
+
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).reduce((files, name) => {
+    const file = path.join(dir, name);
+    return files.concat(fs.statSync(file).isDirectory() ? listFiles(file) : [file]);
+  }, []);
+}
+
+// Static files a page or stylesheet points at through src, href or url(), relative to the static dir.
+function staticReferences(content, urlPrefix) {
+  const prefix = `${urlPrefix.replace(/\/$/, '')}/`;
+  const pattern = /(?:src|href)=["']?([^"'\s>]+)|url\(\s*["']?([^"')]+)/g;
+  const references = new Set();
+  let match;
+
+  while ((match = pattern.exec(content))) {
+    const url = (match[1] || match[2]).split(/[?#]/)[0];
+    if (url.startsWith(prefix)) {
+      references.add(url.slice(prefix.length));
+    } else if (match[2] && !/^(?:[a-z]+:|\/|data:)/i.test(url)) {
+      // lasso writes url()s inside CSS relative to the bundle itself
+      references.add(path.posix.normalize(url));
+    }
+  }
+  return Array.from(references).sort();
+}
+
+/**
+ * Describes what a target build wrote to its `outputDir`: every rendered
+ * page with the template directory it came from and the static files it
+ * references, and every static file with its size, gzipped size and sha256.
+ * Bundles also carry their lasso bundle name and the dependencies in them,
+ * and every file linked from a page lists those pages, so a shared bundle
+ * shows up once with all the pages that use it.
+ */
+function describeTarget(target, pages) {
+  const outputDir = path.resolve(target.outputDir);
+  const staticDir = path.join(outputDir, 'static');
+  const assets = {};
+
+  listFiles(staticDir).forEach(file => {
+    const name = path.relative(staticDir, file).split(path.sep).join('/');
+    assets[name] = describeAsset(file);
+    if (/\.css$/.test(name)) {
+      assets[name].references = staticReferences(fs.readFileSync(file, 'utf8'), target.urlPrefix);
+    }
+  });
+
+  const described = pages.map(page => {
+    const file = path.join(outputDir, page.file);
+    return Object.assign({}, page, describePage(file), {
+      assets: staticReferences(fs.readFileSync(file, 'utf8'), target.urlPrefix)
+    });
+  });
+
+  described.forEach(page => page.assets.forEach(name => {
+    if (assets[name]) {
+      (assets[name].pages = assets[name].pages || []).push(page.path);
+    }
+  }));
+
+  return {
+    urlPrefix: target.urlPrefix,
+    outputDir: target.outputDir,
+    pages: described,
+    assets
+  };
+}
+
+function readManifest(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { targets: {} };
+}
+
+/**
+ * Adds the section for `target` to the manifest in `dir`, keeping the
+ * sections other targets of the same build wrote before it.
+ */
+function recordTarget(dir, target, pages) {
+  const file = path.join(dir, MANIFEST_FILE);
+  const manifest = readManifest(file);
+
+  manifest.generated = new Date().toISOString();
+  manifest.targets[target.name] = describeTarget(target, pages);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+/**
+ * Measures the pages and static files of the section of `target` in the
+ * manifest in `dir` again, once its post-processing steps (see targets.js)
+ * have rewritten them, so their sizes and hashes are those of the files
+ * published. What they reference and the bundle info stay as recorded.
+ */
+function refreshTarget(dir, target) {
+  const file = path.join(dir, MANIFEST_FILE);
+  const manifest = readManifest(file);
+  const section = manifest.targets[target.name];
+  const outputDir = path.resolve(target.outputDir);
+
+  section.pages.forEach(page => Object.assign(page, describePage(path.join(outputDir, page.file))));
+  Object.keys(section.assets)
+    .filter(name => fs.existsSync(path.join(outputDir, 'static', name)))
+    .forEach(name => Object.assign(section.assets[name], describeStaticFile(path.join(outputDir, 'static', name))));
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+/**
+ * Writes the manifest of `dir`, which the staged outputs of `targets` were
+ * published to, from the sections each of them recorded in its outputDir.
+ */
+function assembleTargets(dir, targets) {
+  const manifest = { generated: new Date().toISOString(), targets: {} };
+
+  targets.forEach(target => {
+    Object.assign(manifest.targets, readManifest(path.resolve(target.outputDir, MANIFEST_FILE)).targets);
+  });
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+// Lists `files` (relative to `dir`) as written by the build in the manifest there, for tasks/clean.js.
+function recordFiles(dir, files) {
+  const file = path.join(dir, MANIFEST_FILE);
+  const manifest = readManifest(file);
+
+  manifest.files = files;
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+// Links the source map of each static file in `maps` (see tasks/source-maps.js) from the section of `target` in the manifest in `dir`.
+function recordSourceMaps(dir, target, maps) {
+  const file = path.join(dir, MANIFEST_FILE);
+  const manifest = readManifest(file);
+  const assets = manifest.targets[target.name].assets;
+
+  Object.keys(maps).filter(name => assets[name]).forEach(name => {
+    assets[name].sourceMap = maps[name];
+  });
+  fs.writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return manifest;
+}
+
+exports.MANIFEST_FILE = MANIFEST_FILE;
+exports.listFiles = listFiles;
+exports.normalizeHtml = normalizeHtml;
+exports.staticReferences = staticReferences;
+exports.describeTarget = describeTarget;
+exports.readManifest = readManifest;
+exports.recordTarget = recordTarget;
+exports.refreshTarget = refreshTarget;
+exports.assembleTargets = assembleTargets;
+exports.recordFiles = recordFiles;
+exports.recordSourceMaps = recordSourceMaps;
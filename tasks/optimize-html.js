@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const listFiles = require('./manifest').listFiles;
+
+// Marko's markers (<!--M^s0-0 s0 3-->, <!--M/-->, …) tell the browser where each component starts and ends.
+const MARKO_COMMENTS = /^[MF][#^/$]/;
+
+const MINIFY_OPTIONS = {
+  collapseWhitespace: true,
+  // a space between inline elements renders, and Marko hydrates the text nodes as they are
+  conservativeCollapse: true,
+  removeComments: true,
+  ignoreCustomComments: [MARKO_COMMENTS],
+  removeRedundantAttributes: true,
+  useShortDoctype: true,
+  minifyCSS: true,
+  minifyJS: true
+};
+
+// The pages under `dir`, or only `pages` (files relative to it), those rendered again by a watch session.
+function pageFiles(dir, pages) {
+  return pages ? pages.map(page => path.join(dir, page)) : listFiles(dir).filter(file => path.extname(file) === '.html');
+}
+
+function rewritePages(dir, pages, rewrite) {
+  const summary = { pages: 0, before: 0, after: 0 };
+  return pageFiles(dir, pages).reduce((previous, file) => previous.then(() => {
+    const html = fs.readFileSync(file, 'utf8');
+    return Promise.resolve(rewrite(html, file)).then(optimized => {
+      fs.writeFileSync(file, optimized);
+      summary.pages++;
+      summary.before += Buffer.byteLength(html);
+      summary.after += Buffer.byteLength(optimized);
+    });
+  }), Promise.resolve()).then(() => summary);
+}
+
+/**
+ * Inlines in every page under `dir` (the outputDir of `target`) the rules
+ * of its stylesheets that match something on the page, and turns the
+ * stylesheet links into ones that load after the page has rendered (with a
+ * `<noscript>` link for browsers without JS). Fonts stay in the
+ * stylesheets; url()s of inlined rules are rewritten to work from the page.
+ * Resolves to `{ pages, before, after }`, the bytes of the pages before and
+ * after. Pages it has processed before get their rules inlined again, so
+ * `pages` limits it to the given ones (relative to `dir`).
+ */
+function inlineCriticalCss(dir, target, pages) {
+  const Beasties = require('beasties');
+  const beasties = new Beasties({
+    path: dir,
+    publicPath: target.links.prefix || '',
+    preload: 'media',
+    noscriptFallback: true,
+    inlineFonts: false,
+    preloadFonts: false,
+    // the stylesheets are shared by every page, each inlining what it uses of them
+    pruneSource: false,
+    reduceInlineStyles: false,
+    logLevel: 'warn'
+  });
+  return rewritePages(dir, pages, html => beasties.process(html));
+}
+
+// Minifies every page under `dir` (or `pages`), keeping the comments Marko hydrates components from. Resolves like inlineCriticalCss().
+function minifyHtml(dir, pages) {
+  const minify = require('html-minifier-terser').minify;
+  return rewritePages(dir, pages, html => minify(html, MINIFY_OPTIONS));
+}
+
+exports.inlineCriticalCss = inlineCriticalCss;
+exports.minifyHtml = minifyHtml;
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const manifest = require('./manifest');
+
+const EXTENSIONS = ['.html', '.js', '.css', '.json', '.webmanifest', '.xml', '.txt', '.svg', '.eot', '.ttf', '.otf', '.woff', '.woff2'];
+
+// Smaller files don't gain enough from compression to be worth the extra request handling.
+const THRESHOLD = 1024;
+
+const ENCODINGS = {
+  gzip: {
+    extension: '.gz',
+    compress: content => zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION })
+  },
+  br: {
+    extension: '.br',
+    compress: content => zlib.brotliCompressSync(content, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length
+      }
+    })
+  }
+};
+
+/**
+ * Writes `<file>.gz` and `<file>.br` next to every HTML, JS, CSS, font and
+ * other text file under `dir` of at least `THRESHOLD` bytes. A variant that
+ * doesn't come out smaller than the file (woff2 fonts, usually) is skipped.
+ * The build manifest is left out: publishing rewrites it afterwards.
+ * Returns `{ files, written, saved }`: the files looked at, the variants
+ * written and the bytes those save over the originals.
+ */
+function precompressTree(dir) {
+  const summary = { files: 0, written: 0, saved: 0 };
+
+  manifest.listFiles(dir)
+    .filter(file => EXTENSIONS.indexOf(path.extname(file)) !== -1)
+    .filter(file => file !== path.join(dir, manifest.MANIFEST_FILE))
+    .forEach(file => {
+      const content = fs.readFileSync(file);
+      if (content.length < THRESHOLD) {
+        return;
+      }
+      summary.files++;
+      Object.keys(ENCODINGS).forEach(name => {
+        const compressed = ENCODINGS[name].compress(content);
+        if (compressed.length < content.length) {
+          fs.writeFileSync(file + ENCODINGS[name].extension, compressed);
+          summary.written++;
+          summary.saved += content.length - compressed.length;
+        }
+      });
+    });
+  return summary;
+}
+
+exports.ENCODINGS = ENCODINGS;
+exports.precompressTree = precompressTree;
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const listFiles = require('./manifest').listFiles;
+
+// Root-relative URLs (not protocol-relative ones) in HTML attributes, CSS url() and the string literals of inline scripts.
+const ATTRIBUTE = /(\s(?:src|href|action|poster|content)=)(["']?)(\/(?!\/)[^"'\s>]*)/g;
+const CSS_URL = /(url\(\s*)(["']?)(\/(?!\/)[^"')\s]*)/g;
+const STRING = /()(["'])(\/(?!\/)[^"'\s\\]*)\2/g;
+
+function isFile(file) {
+  return fs.existsSync(file) && fs.statSync(file).isFile();
+}
+
+/**
+ * The file under `root` that `url` points at: the file itself or, when
+ * `pages` is set, the index.html of a page directory.
+ */
+function resolveUrl(root, url, pages) {
+  const pathname = url.split(/[?#]/)[0];
+  const file = path.join(root, decodeURI(pathname));
+
+  if (file !== root && !file.startsWith(root + path.sep)) {
+    return undefined;
+  }
+  if (isFile(file)) {
+    return file;
+  }
+  if (pages && isFile(path.join(file, 'index.html'))) {
+    return path.join(file, 'index.html');
+  }
+  return undefined;
+}
+
+function relativeUrl(from, file, url) {
+  const relative = path.relative(path.dirname(from), file).split(path.sep).join('/');
+  return relative + url.slice(url.split(/[?#]/)[0].length);
+}
+
+function rewrite(content, pattern, root, from, pages, counter) {
+  return content.replace(pattern, (match, before, quote, url) => {
+    const file = resolveUrl(root, url, pages);
+    if (!file) {
+      return match;
+    }
+    counter.count++;
+    const rewritten = relativeUrl(from, file, url);
+    return quote && pattern === STRING ? `${quote}${rewritten}${quote}` : `${before}${quote}${rewritten}`;
+  });
+}
+
+/**
+ * Rewrites the root-relative references in every HTML and CSS file under
+ * `root` (the target's outputDir, served as "/") to paths relative to the
+ * file containing them, so the pages also work from file:// in a WebView.
+ * HTML attributes and CSS url() may point at files or page directories
+ * (which become `<dir>/index.html`); string literals in inline scripts only
+ * count when they name an existing file, leaving client-side routes and
+ * module ids such as "/about" alone. Script files are left as they are: a
+ * URL in them is resolved against the page running it, not the script.
+ * With `pages` (relative to `root`) only those of the HTML files are
+ * rewritten. Returns the number of references rewritten.
+ */
+function rewriteTree(root, pages) {
+  const counter = { count: 0 };
+  root = path.resolve(root);
+  const rewritten = pages && new Set(pages.map(page => path.join(root, page)));
+
+  listFiles(root).forEach(file => {
+    const type = path.extname(file);
+    if (['.html', '.css'].indexOf(type) === -1 || (type === '.html' && rewritten && !rewritten.has(file))) {
+      return;
+    }
+    const original = fs.readFileSync(file, 'utf8');
+    let content = original;
+
+    if (type === '.html') {
+      content = rewrite(content, ATTRIBUTE, root, file, true, counter);
+    }
+    content = rewrite(content, CSS_URL, root, file, true, counter);
+    if (type === '.html') {
+      content = rewrite(content, STRING, root, file, false, counter);
+    }
+    if (content !== original) {
+      fs.writeFileSync(file, content);
+    }
+  });
+  return counter.count;
+}
+
+exports.resolveUrl = resolveUrl;
+exports.rewriteTree = rewriteTree;
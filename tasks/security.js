@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const listFiles = require('./manifest').listFiles;
+
+// Content-Security-Policy headers for every page, in the `_headers` format Netlify and Cloudflare Pages read; tasks/serve.js does too.
+const HEADERS_FILE = '_headers';
+
+const TAG = /<([a-z][a-z0-9-]*)\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+const ATTRIBUTE = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const INLINE_SCRIPT = /<script\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/script>/gi;
+const CSP_META = /<meta\s+http-equiv=["']?Content-Security-Policy["']?[^>]*>/gi;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+function decodeEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos|#39);/g, (match, name) => ENTITIES[name]);
+}
+
+// The attributes of an opening `tag`, names lowercased and values decoded.
+function attributes(tag) {
+  const found = {};
+  const body = tag.replace(/^<[a-z0-9-]+/i, '').replace(/\/?>$/, '');
+  let match;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(body))) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    found[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+  }
+  return found;
+}
+
+function digest(algorithm, content) {
+  return `${algorithm}-${crypto.createHash(algorithm).update(content).digest('base64')}`;
+}
+
+// The pages under `dir`, or only `pages` (files relative to it), those rendered again by a watch session.
+function pageFiles(dir, pages) {
+  return pages ? pages.map(page => path.join(dir, page)) : listFiles(dir).filter(file => path.extname(file) === '.html');
+}
+
+// The file under `dir` a script or stylesheet URL on the page `from` points at, if the build wrote it.
+function resolveAsset(dir, from, url, prefix) {
+  const pathname = decodeURI(url.split(/[?#]/)[0]);
+  if (/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(pathname)) {
+    return undefined;
+  }
+  let file;
+  if (pathname.startsWith('/')) {
+    if (prefix && !pathname.startsWith(`${prefix}/`)) {
+      return undefined;
+    }
+    file = path.join(dir, pathname.slice(prefix.length));
+  } else {
+    file = path.resolve(path.dirname(from), pathname);
+  }
+  return file.startsWith(dir + path.sep) && fs.existsSync(file) && fs.statSync(file).isFile() ? file : undefined;
+}
+
+// The URL of the asset an element loads that browsers check `integrity` on: scripts, stylesheets and their preloads.
+function checkedUrl(name, attrs) {
+  const rel = (attrs.rel || '').toLowerCase().split(/\s+/);
+  if (name === 'script') {
+    return attrs.src;
+  }
+  if (name === 'link' && (rel.indexOf('stylesheet') !== -1 || rel.indexOf('modulepreload') !== -1 ||
+      (rel.indexOf('preload') !== -1 && ['script', 'style'].indexOf(attrs.as) !== -1))) {
+    return attrs.href;
+  }
+  return undefined;
+}
+
+/**
+ * Adds an `integrity` attribute (sha384) to every script and stylesheet tag
+ * of the pages under `dir`, the outputDir of `target`, that loads a file of
+ * the build, so browsers refuse it if it was changed on its way. `pages`
+ * limits it to the given ones (relative to `dir`). Returns `{ pages, tags }`.
+ */
+function addIntegrity(dir, target, pages) {
+  const prefix = target.links.prefix || '';
+  const hashes = new Map();
+  const summary = { pages: 0, tags: 0 };
+
+  dir = path.resolve(dir);
+  pageFiles(dir, pages).forEach(page => {
+    const html = fs.readFileSync(page, 'utf8').replace(TAG, (tag, name) => {
+      const attrs = attributes(tag);
+      const url = checkedUrl(name.toLowerCase(), attrs);
+      const file = url && attrs.integrity === undefined && resolveAsset(dir, page, url, prefix);
+      if (!file) {
+        return tag;
+      }
+      if (!hashes.has(file)) {
+        hashes.set(file, digest('sha384', fs.readFileSync(file)));
+      }
+      summary.tags++;
+      return tag.replace(/\s*\/?>$/, end => ` integrity="${hashes.get(file)}"${end}`);
+    });
+    fs.writeFileSync(page, html);
+    summary.pages++;
+  });
+  return summary;
+}
+
+// Hashes of the inline scripts of `html` and of its event handler attributes (onload="…"), which CSP checks separately.
+function inlineCode(html) {
+  const scripts = new Set();
+  const handlers = new Set();
+  let match;
+
+  INLINE_SCRIPT.lastIndex = 0;
+  while ((match = INLINE_SCRIPT.exec(html))) {
+    if (attributes(`<script${match[1]}>`).src === undefined) {
+      scripts.add(digest('sha256', match[2]));
+    }
+  }
+  (html.replace(INLINE_SCRIPT, '<script$1></script>').match(TAG) || []).forEach(tag => {
+    const attrs = attributes(tag);
+    Object.keys(attrs)
+      .filter(name => /^on[a-z]+$/.test(name))
+      .forEach(name => handlers.add(digest('sha256', attrs[name])));
+  });
+  return { scripts: Array.from(scripts), handlers: Array.from(handlers) };
+}
+
+/**
+ * The Content-Security-Policy for a page with `inline` code: only files of
+ * the site itself, and the page's own inline scripts and handlers by hash.
+ * `frame-ancestors` only works as a header, so `meta` leaves it out.
+ */
+function policy(inline, meta) {
+  const scriptSrc = ["'self'"].concat(inline.scripts.map(hash => `'${hash}'`));
+  if (inline.handlers.length) {
+    scriptSrc.push("'unsafe-hashes'", ...inline.handlers.map(hash => `'${hash}'`));
+  }
+  const directives = [
+    ['default-src', "'self'"],
+    ['script-src', scriptSrc.join(' ')],
+    // Framework7 builds markup with style attributes at runtime, which hashes can't cover
+    ['style-src', "'self' 'unsafe-inline'"],
+    ['img-src', "'self' data:"],
+    ['font-src', "'self' data:"],
+    ['object-src', "'none'"],
+    ['base-uri', "'self'"],
+    ['form-action', "'self'"]
+  ];
+  if (!meta) {
+    directives.push(['frame-ancestors', "'none'"]);
+  }
+  return directives.map(directive => directive.join(' ')).join('; ');
+}
+
+// The URL a page file under `dir` is served at, below the target's base URL `prefix`.
+function pageUrl(dir, file, prefix) {
+  const relative = path.relative(dir, file).split(path.sep).join('/');
+  return `${prefix}/${relative.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * Gives every page under `dir`, the outputDir of `target`, a strict
+ * Content-Security-Policy as a `<meta>` at the top of its `<head>`, and
+ * writes the same policies as headers to `HEADERS_FILE` in `dir` for
+ * servers that can send them. A page that has a policy already gets it
+ * replaced. With `pages` (relative to `dir`) only those are processed and
+ * the headers of the others are kept. Returns `{ pages, hashes }`.
+ */
+function addContentSecurityPolicy(dir, target, pages) {
+  const prefix = target.links.prefix || '';
+  const summary = { pages: 0, hashes: 0 };
+  const headers = new Map();
+
+  dir = path.resolve(dir);
+  if (pages) {
+    readHeaders(dir).forEach(entry => {
+      headers.set(entry.url, Object.keys(entry.headers).map(name => `  ${name}: ${entry.headers[name]}\n`).join(''));
+    });
+  }
+  pageFiles(dir, pages).sort().forEach(page => {
+    let html = fs.readFileSync(page, 'utf8').replace(CSP_META, '');
+    const inline = inlineCode(html);
+    const meta = `<meta http-equiv="Content-Security-Policy" content="${policy(inline, true)}">`;
+    // after <meta charset>, which has to come first, and before anything the policy applies to
+    const charset = /<meta\s+charset=[^>]*>/i.exec(html);
+    const head = /<head\b[^>]*>/i.exec(html);
+    const at = charset ? charset.index + charset[0].length : head ? head.index + head[0].length : 0;
+
+    html = html.slice(0, at) + meta + html.slice(at);
+    fs.writeFileSync(page, html);
+    headers.set(pageUrl(dir, page, prefix), `  Content-Security-Policy: ${policy(inline, false)}\n`);
+    summary.pages++;
+    summary.hashes += inline.scripts.length + inline.handlers.length;
+  });
+  fs.writeFileSync(path.join(dir, HEADERS_FILE), Array.from(headers).map(entry => `${entry[0]}\n${entry[1]}`).join('\n'));
+  return summary;
+}
+
+// The `[{ url, headers }]` in the `HEADERS_FILE` of `dir`, if there is one.
+function readHeaders(dir) {
+  const file = path.join(dir, HEADERS_FILE);
+  const entries = [];
+  if (!fs.existsSync(file)) {
+    return entries;
+  }
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    const header = /^\s+([^:\s]+):\s*(.*)$/.exec(line);
+    if (header && entries.length) {
+      entries[entries.length - 1].headers[header[1]] = header[2];
+    } else if (line.trim()) {
+      entries.push({ url: line.trim(), headers: {} });
+    }
+  });
+  return entries;
+}
+
+exports.HEADERS_FILE = HEADERS_FILE;
+exports.addIntegrity = addIntegrity;
+exports.addContentSecurityPolicy = addContentSecurityPolicy;
+exports.readHeaders = readHeaders;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const ENCODINGS = require('./precompress').ENCODINGS;
+const readHeaders = require('./security').readHeaders;
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.zip': 'application/zip'
+};
+
+// lasso's fingerprinted bundle names never change content, so browsers can keep them.
+const FINGERPRINTED = /-[0-9a-f]{8}\.[a-z0-9]+$/;
+
+function isFile(file) {
+  return fs.existsSync(file) && fs.statSync(file).isFile();
+}
+
+// The q-value the Accept-Encoding `header` gives `encoding`.
+function quality(header, encoding) {
+  let wildcard = 0;
+  let found;
+  (header || '').split(',').forEach(part => {
+    const pieces = part.trim().split(';');
+    const name = pieces[0].trim().toLowerCase();
+    const q = pieces.slice(1).map(param => /^\s*q=([\d.]+)/.exec(param)).filter(Boolean)[0];
+    const value = q ? parseFloat(q[1]) : 1;
+    if (name === encoding) {
+      found = value;
+    } else if (name === '*') {
+      wildcard = value;
+    }
+  });
+  return found === undefined ? wildcard : found;
+}
+
+/**
+ * Which precompressed variant of `file` to send for an Accept-Encoding
+ * `header`: the available encoding with the highest q-value, brotli over
+ * gzip on a tie, or undefined for the file itself.
+ */
+function negotiate(header, file) {
+  let best;
+  let bestQuality = 0;
+  ['br', 'gzip'].forEach(encoding => {
+    const q = quality(header, encoding);
+    if (q > bestQuality && isFile(file + ENCODINGS[encoding].extension)) {
+      best = encoding;
+      bestQuality = q;
+    }
+  });
+  return best;
+}
+
+// The file under `root` a request path maps to, with `prefix` (the target's base URL) stripped.
+function resolveFile(root, pathname, prefix) {
+  if (prefix) {
+    if (pathname !== prefix && !pathname.startsWith(`${prefix}/`)) {
+      return undefined;
+    }
+    pathname = pathname.slice(prefix.length) || '/';
+  }
+  let file = path.join(root, decodeURIComponent(pathname));
+  if (file !== root && !file.startsWith(root + path.sep)) {
+    return undefined;
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+  return isFile(file) ? file : undefined;
+}
+
+/**
+ * A static file server for `root` that answers with the `.br` or `.gz`
+ * sibling written by tasks/precompress.js when the client accepts it, so
+ * nothing is compressed per request, and with the headers the `_headers`
+ * file there (see tasks/security.js) gives each page. `options.prefix` is
+ * the base URL the files are served under.
+ */
+function createServer(root, options) {
+  const prefix = (options && options.prefix) || '';
+  const pageHeaders = new Map();
+  root = path.resolve(root);
+
+  readHeaders(root).forEach(entry => {
+    const file = resolveFile(root, entry.url, prefix);
+    if (file) {
+      pageHeaders.set(file, entry.headers);
+    }
+  });
+
+  return http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      return res.end();
+    }
+
+    let file;
+    try {
+      file = resolveFile(root, req.url.split(/[?#]/)[0], prefix);
+    } catch (err) {
+      // malformed percent-encoding
+      file = undefined;
+    }
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': TYPES['.txt'] });
+      return res.end('Not found\n');
+    }
+
+    const encoding = negotiate(req.headers['accept-encoding'], file);
+    const sent = encoding ? file + ENCODINGS[encoding].extension : file;
+    const headers = Object.assign({
+      'Content-Type': TYPES[path.extname(file)] || 'application/octet-stream',
+      'Content-Length': fs.statSync(sent).size,
+      'Cache-Control': FINGERPRINTED.test(file) ? 'public, max-age=31536000, immutable' : 'no-cache',
+      Vary: 'Accept-Encoding'
+    }, pageHeaders.get(file));
+    if (encoding) {
+      headers['Content-Encoding'] = encoding;
+    }
+
+    res.writeHead(200, headers);
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    fs.createReadStream(sent).pipe(res);
+  });
+}
+
+exports.negotiate = negotiate;
+exports.createServer = createServer;
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const targets = require('../targets');
+const manifest = require('./manifest');
+const packageConfig = require('../package.json');
+
+const SERVICE_WORKER_FILE = 'sw.js';
+
+// Where the service worker of `target` is served from, or undefined when its post-processing doesn't write one.
+function serviceWorkerUrl(target) {
+  return target.postProcess.indexOf('serviceWorker') !== -1
+    ? `${(target.links && target.links.prefix) || ''}/${SERVICE_WORKER_FILE}`
+    : undefined;
+}
+
+/**
+ * What the service worker precaches for the `target.offline` pages: each
+ * page, the bundles it links and the files (fonts) its stylesheets
+ * reference, described the way the build manifest does. URLs are relative
+ * to the service worker, which sits at the root of the output.
+ */
+function precache(target) {
+  const prefix = (target.links && target.links.prefix) || '';
+  if (!target.offline || !target.offline.length) {
+    throw new Error(`Build target "${target.name}" lists no offline pages for its service worker`);
+  }
+  const pages = target.offline.map(pagePath => {
+    const file = targets.pageFile(target, pagePath);
+    if (!fs.existsSync(path.resolve(target.outputDir, file))) {
+      throw new Error(`Offline page "${pagePath}" of build target "${target.name}" was not built`);
+    }
+    return { path: pagePath, file };
+  });
+  const section = manifest.describeTarget(target, pages);
+  const urls = new Set();
+  const hashes = [];
+
+  function addAsset(name) {
+    const asset = section.assets[name];
+    if (!asset || urls.has(`./static/${name}`)) {
+      return;
+    }
+    urls.add(`./static/${name}`);
+    hashes.push(asset.sha256);
+    (asset.references || []).forEach(addAsset);
+  }
+
+  section.pages.forEach(page => {
+    urls.add(`.${targets.pageUrl(target, page.path).slice(prefix.length)}`);
+    hashes.push(page.sha256);
+    page.assets.forEach(addAsset);
+  });
+
+  return { urls: Array.from(urls), hashes };
+}
+
+function serviceWorkerSource(cacheName, cachePrefix, urls) {
+  return `// Generated by tasks/service-worker.js for build ${cacheName}
+var CACHE = ${JSON.stringify(cacheName)};
+var CACHE_PREFIX = ${JSON.stringify(cachePrefix)};
+var PRECACHE = ${JSON.stringify(urls, null, 2)};
+
+self.addEventListener('install', function (event) {
+  event.waitUntil(caches.open(CACHE).then(function (cache) {
+    return cache.addAll(PRECACHE);
+  }));
+});
+
+self.addEventListener('activate', function (event) {
+  event.waitUntil(caches.keys().then(function (names) {
+    return Promise.all(names.filter(function (name) {
+      return name.indexOf(CACHE_PREFIX) === 0 && name !== CACHE;
+    }).map(function (name) {
+      return caches.delete(name);
+    }));
+  }).then(function () {
+    return self.clients.claim();
+  }));
+});
+
+self.addEventListener('fetch', function (event) {
+  var request = event.request;
+  if (request.method !== 'GET') {
+    return;
+  }
+  event.respondWith(caches.open(CACHE).then(function (cache) {
+    return cache.match(request, { ignoreSearch: true }).then(function (response) {
+      if (response || request.mode !== 'navigate' || /\\/$/.test(request.url)) {
+        return response;
+      }
+      // /mobile and /mobile/ are the same page
+      return cache.match(request.url.split(/[?#]/)[0] + '/');
+    });
+  }).then(function (response) {
+    return response || fetch(request);
+  }));
+});
+
+// Sent by the page once the user agrees to switch to a new build, see src/components/service-worker
+self.addEventListener('message', function (event) {
+  if (event.data === 'skipWaiting') {
+    self.skipWaiting();
+  }
+});
+`;
+}
+
+/**
+ * Writes the service worker for `target` to its outputDir. Its cache name carries
+ * the package version and a hash of everything it precaches, so every build
+ * that changes one of those files installs as an update and the caches of
+ * older builds are dropped once it takes over.
+ */
+function writeServiceWorker(target) {
+  const files = precache(target);
+  const cachePrefix = `${packageConfig.name}-offline-`;
+  const hash = crypto.createHash('sha256').update(files.hashes.join('\n')).digest('hex').slice(0, 8);
+  const cacheName = `${cachePrefix}${packageConfig.version}-${hash}`;
+
+  fs.writeFileSync(path.resolve(target.outputDir, SERVICE_WORKER_FILE), serviceWorkerSource(cacheName, cachePrefix, files.urls));
+  return { cacheName, urls: files.urls };
+}
+
+exports.SERVICE_WORKER_FILE = SERVICE_WORKER_FILE;
+exports.serviceWorkerUrl = serviceWorkerUrl;
+exports.writeServiceWorker = writeServiceWorker;
@@ -0,0 +1,101 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const targets = require('../targets');
+const pageDirs = require('./watch').pageDirs;
+
+function git(args) {
+  try {
+    // only the end: `git status --porcelain` lines start with a space for files changed but not staged
+    return childProcess.execFileSync('git', args, { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trimEnd();
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * When `file` last changed: its last commit date, or its mtime when git
+ * doesn't know it or it has uncommitted changes.
+ */
+function createLastModified() {
+  const status = git(['status', '--porcelain', '--', 'src']);
+  const changed = new Set((status || '').split('\n').filter(Boolean).map(line => path.resolve(line.slice(3))));
+  const dates = new Map();
+
+  return function lastModified(file) {
+    if (!dates.has(file)) {
+      const committed = !changed.has(file) && git(['log', '-1', '--format=%cI', '--', file]);
+      dates.set(file, committed ? new Date(committed) : fs.statSync(file).mtime);
+    }
+    return dates.get(file);
+  };
+}
+
+// The newest of the source files in the directories `page` is built from.
+function pageLastModified(page, lastModified) {
+  let newest = new Date(0);
+  pageDirs(page).forEach(dir => {
+    fs.readdirSync(dir)
+      .map(name => path.join(dir, name))
+      .filter(file => !/\.marko\.js$/.test(file) && fs.statSync(file).isFile())
+      .forEach(file => {
+        const date = lastModified(file);
+        newest = date > newest ? date : newest;
+      });
+  });
+  return newest;
+}
+
+function siteUrl(target, url) {
+  return `${target.origin}${url}`;
+}
+
+function sitemapXml(target, pages) {
+  const lastModified = createLastModified();
+  const urls = pages.map(page => [
+    '  <url>',
+    `    <loc>${escapeXml(siteUrl(target, targets.pageUrl(target, page.path)))}</loc>`,
+    `    <lastmod>${pageLastModified(page, lastModified).toISOString()}</lastmod>`,
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+  ].concat(urls, ['</urlset>', '']).join('\n');
+}
+
+// Crawlers only read robots.txt at the root of a host, so under a baseurl this one is advisory.
+function robotsTxt(target) {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    `Sitemap: ${siteUrl(target, targets.pageUrl(target, '/'))}sitemap.xml`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Writes sitemap.xml, listing every page (parameterized routes expanded)
+ * under the target's origin and link prefix, and a robots.txt pointing at
+ * it to `dir`. `pages` are the `{ route, params, path }` entries of the
+ * build; templates they require have to be loaded for the lastmod dates.
+ */
+function writeSiteFiles(dir, target, pages) {
+  if (!target.origin) {
+    throw new Error(`Build target "${target.name}" has no origin to build sitemap.xml URLs from (see "origin" in package.json)`);
+  }
+  fs.writeFileSync(path.join(dir, 'sitemap.xml'), sitemapXml(target, pages));
+  fs.writeFileSync(path.join(dir, 'robots.txt'), robotsTxt(target));
+}
+
+exports.sitemapXml = sitemapXml;
+exports.robotsTxt = robotsTxt;
+exports.writeSiteFiles = writeSiteFiles;
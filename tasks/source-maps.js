@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const SourceMapGenerator = require('source-map').SourceMapGenerator;
+const lassoBundles = require('./lasso-bundles');
+const listFiles = require('./manifest').listFiles;
+const packageConfig = require('../package.json');
+
+// Outside every outputDir, so nothing publishes the maps; upload them to an error tracker from there.
+const SOURCE_MAPS_DIR = 'sourcemaps';
+
+// How lasso's require plugin wraps each CommonJS module; the module's own code starts right after it, on the same line.
+const DEFINITION = /^\$_mod\.def\("([^"]+)", function\(require, exports, module, __filename, __dirname\) \{ ?/;
+const TOP_LEVEL = /^\$_mod\./;
+const IDENTIFIER = /[A-Za-z_$][\w$]*/g;
+
+function relative(file) {
+  return path.relative(process.cwd(), file).split(path.sep).join('/');
+}
+
+// Where the source maps of the bundles of `target` go.
+function sourceMapDir(target) {
+  return path.join(SOURCE_MAPS_DIR, path.basename(target.outputDir));
+}
+
+// The source map of the bundle `file` of `target`.
+function sourceMapFile(target, file) {
+  return path.join(sourceMapDir(target), `${path.basename(file)}.map`);
+}
+
+// The file on disk a lasso module id (`/<package>$<version>/<path>`) was bundled from, if any.
+function moduleFile(id) {
+  const match = /^\/((?:@[^/]+\/)?[^/$]+)\$[^/]+(\/.*)?$/.exec(id);
+  if (!match) {
+    return undefined;
+  }
+  const root = match[1] === packageConfig.name ? process.cwd() : path.resolve('node_modules', match[1]);
+  const base = path.join(root, match[2] || '');
+  return [base, `${base}.js`, `${base}.json`].find(file => fs.existsSync(file) && fs.statSync(file).isFile());
+}
+
+/**
+ * Maps `count` lines of the bundle from `generated` (`{ line, column }`,
+ * the first line starting at that column) to `source` from its line
+ * `original`. Lines that came out of lasso as they are in the source (all of
+ * node_modules, and lines babel left alone, see `retainLines` in
+ * tasks/lasso-legacy-babel.js) get a mapping for every identifier, the
+ * others one for the start of the line.
+ */
+function mapLines(generator, source, lines, sourceLines, generated, original) {
+  lines.forEach((text, index) => {
+    const line = generated.line + index;
+    const offset = index ? 0 : generated.column;
+    const originalLine = original + index;
+    if (originalLine > sourceLines.length) {
+      return;
+    }
+    generator.addMapping({ source, generated: { line, column: offset }, original: { line: originalLine, column: 0 } });
+    if (text === sourceLines[originalLine - 1]) {
+      let match;
+      IDENTIFIER.lastIndex = 0;
+      while ((match = IDENTIFIER.exec(text))) {
+        generator.addMapping({
+          source,
+          generated: { line, column: offset + match.index },
+          original: { line: originalLine, column: match.index }
+        });
+      }
+    }
+  });
+}
+
+/**
+ * The source map of the JS bundle `file`: each CommonJS module maps to the
+ * file it came from, and any other dependency lasso put in the bundle as it
+ * is (Framework7, the lasso runtime) to its file as well. Compiled Marko
+ * templates map to their compiled code, embedded in the map as
+ * `<template>.js`. Every source is embedded, so the map works on its own.
+ */
+function bundleSourceMap(file) {
+  const code = fs.readFileSync(file, 'utf8');
+  const lines = code.split('\n');
+  const covered = new Set();
+  const generator = new SourceMapGenerator({ file: path.basename(file) });
+  const sources = new Set();
+
+  function addSource(source, content) {
+    if (!sources.has(source)) {
+      sources.add(source);
+      generator.setSourceContent(source, content);
+    }
+    return content.split('\n');
+  }
+
+  lines.forEach((line, index) => {
+    const definition = DEFINITION.exec(line);
+    if (!definition) {
+      return;
+    }
+    let end = index + 1;
+    while (end < lines.length && !TOP_LEVEL.test(lines[end])) {
+      end++;
+    }
+    // the module's last line is followed by lasso's closing `});`
+    const moduleLines = lines.slice(index, end - 1);
+    moduleLines[0] = moduleLines[0].slice(definition[0].length);
+
+    const found = moduleFile(definition[1]);
+    const compiled = !found || /\.marko$/.test(found);
+    const source = compiled ? (found ? `${relative(found)}.js` : definition[1]) : relative(found);
+    const sourceLines = addSource(source, compiled ? moduleLines.join('\n') : fs.readFileSync(found, 'utf8'));
+
+    mapLines(generator, source, moduleLines, sourceLines, { line: index + 1, column: definition[0].length }, 1);
+    for (let covering = index; covering < end; covering++) {
+      covered.add(covering);
+    }
+  });
+
+  const info = lassoBundles.bundleInfo(file);
+  (info ? info.dependencies : [])
+    .filter(dependency => /\.js$/.test(dependency.path) && fs.existsSync(dependency.path))
+    .forEach(dependency => {
+      const content = fs.readFileSync(dependency.path, 'utf8');
+      const at = code.indexOf(content);
+      if (at === -1) {
+        return;
+      }
+      const before = code.slice(0, at).split('\n');
+      const first = before.length - 1;
+      const contentLines = content.split('\n');
+      if (contentLines.some((line, index) => covered.has(first + index))) {
+        return;
+      }
+      addSource(dependency.path, content);
+      mapLines(generator, dependency.path, contentLines, contentLines, { line: first + 1, column: before[first].length }, 1);
+    });
+
+  return generator.toString();
+}
+
+/**
+ * Writes a source map for every JS bundle in the outputDir of `target` to
+ * its sourceMapDir(), replacing those of its previous build. The bundles
+ * don't point at them (no `sourceMappingURL`), the build manifest does.
+ * Has to run in the process that built the target, which knows what went
+ * into each bundle. Returns the map written for each bundle, by its name in
+ * the static dir.
+ */
+function writeSourceMaps(target) {
+  const dir = sourceMapDir(target);
+  const staticDir = path.resolve(target.outputDir, 'static');
+  const maps = {};
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  listFiles(staticDir)
+    .filter(file => path.extname(file) === '.js')
+    .forEach(file => {
+      const map = sourceMapFile(target, file);
+      fs.writeFileSync(map, bundleSourceMap(file));
+      maps[path.relative(staticDir, file).split(path.sep).join('/')] = relative(map);
+    });
+  return maps;
+}
+
+exports.SOURCE_MAPS_DIR = SOURCE_MAPS_DIR;
+exports.sourceMapDir = sourceMapDir;
+exports.sourceMapFile = sourceMapFile;
+exports.bundleSourceMap = bundleSourceMap;
+exports.writeSourceMaps = writeSourceMaps;
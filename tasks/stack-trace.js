@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const SourceMapConsumer = require('source-map').SourceMapConsumer;
+
+// `<url or path>/<bundle>.js:<line>:<column>` as Chrome, Firefox, Safari and Android WebViews print stack frames.
+const LOCATION = /(?:[^\s()@]*\/)?([\w.-]+\.js):(\d+)(?::(\d+))?/g;
+
+/**
+ * Replaces every location in a bundle in `trace` with the source file, line
+ * and column it maps to through the source maps in `dir` (see
+ * tasks/source-maps.js). Locations in files without a map there are left
+ * as they are.
+ */
+function mapStackTrace(trace, dir) {
+  const consumers = new Map();
+
+  function consumer(bundle) {
+    if (!consumers.has(bundle)) {
+      const file = path.join(dir, `${bundle}.map`);
+      consumers.set(bundle, fs.existsSync(file) ? new SourceMapConsumer(fs.readFileSync(file, 'utf8')) : undefined);
+    }
+    return consumers.get(bundle);
+  }
+
+  return trace.replace(LOCATION, (location, bundle, line, column) => {
+    const map = consumer(bundle);
+    // columns in stack traces start at 1, in source maps at 0
+    const original = map && map.originalPositionFor({ line: Number(line), column: column ? Number(column) - 1 : 0 });
+    if (!original || !original.source) {
+      return location;
+    }
+    return `${original.source}:${original.line}${column ? `:${original.column + 1}` : ''}`;
+  });
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => (text += chunk));
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+exports.mapStackTrace = mapStackTrace;
+exports.readStream = readStream;
@@ -0,0 +1,102 @@
+const childProcess = require('child_process');
+const os = require('os');
+const path = require('path');
+const buildCache = require('./build-cache');
+const timings = require('./timings');
+
+// Prefixes every complete line `stream` writes with `[name]` so the output of workers running side by side stays readable.
+function prefixLines(stream, name, write) {
+  let rest = '';
+  stream.setEncoding('utf8');
+  stream.on('data', chunk => {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    lines.forEach(line => write(`[${name}] ${line}\n`));
+  });
+  stream.on('end', () => {
+    if (rest) {
+      write(`[${name}] ${rest}\n`);
+    }
+  });
+}
+
+function stageTarget(target, args) {
+  const name = target.profile || target.name;
+  const worker = childProcess.fork(require.resolve('gulp/bin/gulp'), ['stage', '--gulpfile', path.resolve('gulpfile.js'), '--cwd', process.cwd()].concat(args), {
+    stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+  });
+
+  prefixLines(worker.stdout, name, line => process.stdout.write(line));
+  prefixLines(worker.stderr, name, line => process.stderr.write(line));
+  worker.on('message', message => {
+    if (message.stageTarget) {
+      worker.send({ target });
+    }
+    if (message.buildCache) {
+      buildCache.record(message.buildCache);
+    }
+    if (message.timing) {
+      timings.record(Object.assign({ worker: name }, message.timing));
+    }
+  });
+
+  return new Promise(resolve => {
+    worker.on('error', err => resolve(err));
+    worker.on('exit', (code, signal) => {
+      resolve(code === 0 ? undefined : new Error(`${signal ? `killed by ${signal}` : `exited with ${code}`}`));
+    });
+  }).then(err => ({ target: name, error: err }));
+}
+
+/**
+ * Builds each of `targets` into its own outputDir in a child `gulp stage`
+ * process, at most `options.concurrency` (the number of CPUs by default) at
+ * a time: lasso and marko-starter keep the configuration they build with in
+ * module state, so a process can only build one target. `options.args` are
+ * passed on to every worker. Resolves once all of them have finished, or
+ * rejects naming the targets that failed.
+ */
+function stageAll(targets, options) {
+  const limit = Math.max(1, Math.min(targets.length, options.concurrency || os.cpus().length));
+  const queue = targets.slice();
+  const results = [];
+
+  function next() {
+    const target = queue.shift();
+    if (!target) {
+      return Promise.resolve();
+    }
+    return stageTarget(target, options.args || []).then(result => {
+      results.push(result);
+      return next();
+    });
+  }
+
+  console.info(`Staging ${targets.length} target(s), ${limit} at a time`);
+  const workers = [];
+  for (let i = 0; i < limit; i++) {
+    workers.push(next());
+  }
+  return Promise.all(workers).then(() => {
+    const failed = results.filter(result => result.error);
+    if (failed.length) {
+      throw Object.assign(new Error(`Staging failed for ${failed.map(result => `${result.target} (${result.error.message})`).join(', ')}`), {
+        showStack: false
+      });
+    }
+  });
+}
+
+// Resolves with the target stageAll() hands this process over its IPC channel once asked, or undefined if it isn't a worker.
+function workerTarget() {
+  if (!process.send) {
+    return Promise.resolve(undefined);
+  }
+  return new Promise(resolve => {
+    process.once('message', message => resolve(message.target));
+    process.send({ stageTarget: true });
+  });
+}
+
+exports.stageAll = stageAll;
+exports.workerTarget = workerTarget;
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const performance = require('perf_hooks').performance;
+
+// Trace Event Format, as opened by chrome://tracing and https://ui.perfetto.dev.
+const TRACE_FILE = path.join('dist', 'build-trace.json');
+
+// The slowest renders and bundles the summary lists; the trace has all of them.
+const SLOWEST_PAGES = 10;
+
+// Timed spans of this process, and of its workers (see stage-workers.js): `{ category, name, start, duration, worker, failed }`.
+let spans = [];
+
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+// Adds `span` to the report of this process, and of the build that forked it if it is a worker.
+function record(span) {
+  spans.push(span);
+  if (process.send) {
+    process.send({ timing: span });
+  }
+}
+
+// Starts timing `name` and returns the function that records it, passed whether it failed.
+function start(category, name) {
+  const started = now();
+  return failed => record({ category, name, start: started, duration: now() - started, failed: Boolean(failed) });
+}
+
+// Times `fn` as `name`, resolving to what it returns or resolves to.
+function time(category, name, fn) {
+  const end = start(category, name);
+  return Promise.resolve().then(fn).then(result => {
+    end();
+    return result;
+  }, err => {
+    end(true);
+    throw err;
+  });
+}
+
+// Times every gulp task and step `gulp` runs, series and parallel wrappers aside.
+function trackGulp(gulp) {
+  const running = new Map();
+  gulp.on('start', event => {
+    if (!event.branch) {
+      running.set(event.uid, start('gulp', event.name));
+    }
+  });
+  ['stop', 'error'].forEach(name => {
+    gulp.on(name, event => {
+      const end = running.get(event.uid);
+      if (end) {
+        running.delete(event.uid);
+        end(name === 'error');
+      }
+    });
+  });
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(2)} s`;
+}
+
+function table(rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => row.map((cell, column) => {
+    return column === row.length - 1 ? cell.padStart(widths[column]) : cell.padEnd(widths[column]);
+  }).join('  ')).join('\n');
+}
+
+function traceEvents(recorded) {
+  const workers = Array.from(new Set(recorded.map(span => span.worker || 'gulp')));
+  const categories = Array.from(new Set(recorded.map(span => span.category)));
+  const origin = Math.min(...recorded.map(span => span.start));
+
+  return workers.map((worker, pid) => ({ name: 'process_name', ph: 'M', pid, args: { name: worker } }))
+    .concat(recorded.map(span => ({
+      name: span.name,
+      cat: span.category,
+      ph: 'X',
+      ts: Math.round((span.start - origin) * 1000),
+      dur: Math.round(span.duration * 1000),
+      pid: workers.indexOf(span.worker || 'gulp'),
+      // one row per category: pages render side by side, and rows need spans nested in each other
+      tid: categories.indexOf(span.category),
+      args: span.failed ? { failed: true } : {}
+    })));
+}
+
+/**
+ * Prints how long every gulp step took, and the slowest page renders and
+ * bundles, then writes everything timed since the last report to
+ * `TRACE_FILE` (`file`).
+ */
+function report(file) {
+  const recorded = spans.slice().sort((a, b) => a.start - b.start);
+  const label = span => `${span.worker ? `[${span.worker}] ` : ''}${span.name}${span.failed ? ' (failed)' : ''}`;
+  file = path.resolve(file || TRACE_FILE);
+  spans = [];
+  if (!recorded.length) {
+    return;
+  }
+
+  const steps = recorded.filter(span => span.category !== 'render' && span.category !== 'bundle');
+  const pages = recorded
+    .filter(span => span.category === 'render' || span.category === 'bundle')
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, SLOWEST_PAGES);
+
+  console.info(table([['Step', 'Time']].concat(steps.map(span => [`${span.category} ${label(span)}`, seconds(span.duration)]))));
+  if (pages.length) {
+    console.info(`\nSlowest pages:\n${table([['Page', 'Time']].concat(pages.map(span => [`${span.category} ${label(span)}`, seconds(span.duration)])))}`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ traceEvents: traceEvents(recorded), displayTimeUnit: 'ms' }));
+  console.info(`\nWrote the timings of ${recorded.length} steps to ${path.relative('.', file)}`);
+}
+
+exports.TRACE_FILE = TRACE_FILE;
+exports.record = record;
+exports.start = start;
+exports.time = time;
+exports.trackGulp = trackGulp;
+exports.report = report;
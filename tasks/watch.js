@@ -0,0 +1,139 @@
+const path = require('path');
+const gulp = require('gulp');
+
+const srcDir = path.resolve('src');
+
+// Changes to these mean the route table itself may have changed.
+const ROUTE_FILES = ['route.js', 'marko.json'];
+
+function isSourceModule(id) {
+  return id.startsWith(srcDir) && id.indexOf(`${path.sep}node_modules${path.sep}`) === -1;
+}
+
+// Directories under src/ holding a module that `id` pulls in through require().
+function moduleDirs(id, dirs, seen) {
+  const mod = require.cache[id];
+  if (!mod || seen.has(id)) {
+    return dirs;
+  }
+  seen.add(id);
+  dirs.add(path.dirname(id));
+  mod.children.forEach(child => isSourceModule(child.id) && moduleDirs(child.id, dirs, seen));
+  return dirs;
+}
+
+// Directories holding the template of `page` and the source modules it requires.
+function pageDirs(page) {
+  const template = path.join(page.route.__dirname, 'index.marko');
+  return moduleDirs(template, new Set([page.route.__dirname]), new Set());
+}
+
+/**
+ * Pages that have to be rendered again when `file` changes. A page depends
+ * on every directory holding one of the templates, components or modules
+ * it requires, which also covers the browser.json and styles lasso bundles
+ * from those directories.
+ */
+function affectedPages(pages, file) {
+  const dir = path.dirname(file);
+  return pages.filter(page => pageDirs(page).has(dir));
+}
+
+// Drops `file` and the source modules requiring it so the next render loads them again.
+function invalidate(file) {
+  const hotReload = require('marko/hot-reload');
+  const stale = new Set([file]);
+
+  let grew = true;
+  while (grew) {
+    grew = false;
+    Object.keys(require.cache).filter(isSourceModule).forEach(id => {
+      if (!stale.has(id) && require.cache[id].children.some(child => stale.has(child.id))) {
+        stale.add(id);
+        grew = true;
+      }
+    });
+  }
+
+  stale.forEach(id => {
+    if (/\.marko$/.test(id) || path.basename(id) === 'component.js') {
+      hotReload.handleFileModified(id, { silent: true });
+    }
+    delete require.cache[id];
+  });
+}
+
+function runTask(task) {
+  return new Promise((resolve, reject) => task(err => (err ? reject(err) : resolve())));
+}
+
+/**
+ * Builds `target` once, then watches src/ and renders again only the pages
+ * affected by each change, followed by the gulp task `postProcess(pages)`
+ * returns for the pages rendered, so the result lands in docs/. Adding,
+ * removing or renaming files and editing a route.js or marko.json reloads
+ * the routes and renders every page.
+ */
+function watchTarget(target, options) {
+  const project = options.project;
+  let build;
+  let pending = new Set();
+  let reload = false;
+  let running = Promise.resolve();
+  let timer;
+
+  require('marko/hot-reload').enable({ silent: true });
+
+  function render(pages) {
+    return build.render(pages)
+      .then(() => runTask(options.postProcess(pages)))
+      .then(() => console.log(`[watch] ${target.name}: rendered ${pages.map(page => page.path).join(', ')}`))
+      .catch(err => console.error(`[watch] ${err.toString()}`));
+  }
+
+  function open() {
+    return project.openTarget(target, { watch: true }).then(opened => {
+      build = opened;
+      return render(build.pages);
+    });
+  }
+
+  function flush() {
+    const files = Array.from(pending);
+    const reopen = reload;
+    pending = new Set();
+    reload = false;
+
+    running = running.then(() => {
+      if (reopen) {
+        files.forEach(invalidate);
+        return open();
+      }
+      const pages = new Set();
+      files.forEach(file => affectedPages(build.pages, file).forEach(page => pages.add(page)));
+      files.forEach(invalidate);
+      build.resetBundles();
+      return pages.size ? render(Array.from(pages)) : undefined;
+    }).catch(err => console.error(`[watch] ${err.toString()}`));
+  }
+
+  function onChange(event, file) {
+    file = path.resolve(file);
+    if (event !== 'change' || ROUTE_FILES.indexOf(path.basename(file)) !== -1) {
+      reload = true;
+    }
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, 100);
+  }
+
+  return open().then(() => {
+    console.log(`[watch] ${target.name}: watching ${path.relative('.', srcDir)}/ for changes`);
+    gulp.watch(['src/**/*', '!src/**/*.marko.js'], { ignoreInitial: true }).on('all', onChange);
+  });
+}
+
+exports.pageDirs = pageDirs;
+exports.affectedPages = affectedPages;
+exports.invalidate = invalidate;
+exports.watchTarget = watchTarget;
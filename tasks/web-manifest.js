@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const targets = require('../targets');
+const packageConfig = require('../package.json');
+
+const MANIFEST_FILE = 'manifest.webmanifest';
+const ICONS_DIR = 'icons';
+const ICON_SIZES = [72, 96, 128, 144, 152, 192, 384, 512];
+const APPLE_TOUCH_ICON_SIZE = 180;
+
+// iOS only shows a launch image whose size matches the device's screen exactly.
+const SPLASH_SCREENS = [
+  { width: 640, height: 1136, ratio: 2 },
+  { width: 750, height: 1334, ratio: 2 },
+  { width: 828, height: 1792, ratio: 2 },
+  { width: 1125, height: 2436, ratio: 3 },
+  { width: 1242, height: 2208, ratio: 3 },
+  { width: 1242, height: 2688, ratio: 3 },
+  { width: 1536, height: 2048, ratio: 2 }
+];
+
+/**
+ * The web app settings from package.json `webapp`: `name`, `short_name`,
+ * `description`, `display`, `theme_color` and `background_color` go into
+ * the manifest as they are, `start` is the page the installed app opens and
+ * `icon` the square source image (at least 512px) every icon and splash
+ * image is resized from.
+ */
+function appConfig() {
+  const config = Object.assign({
+    name: packageConfig.name,
+    description: packageConfig.description,
+    display: 'standalone',
+    theme_color: '#2196f3',
+    background_color: '#ffffff',
+    start: '/'
+  }, packageConfig.webapp);
+
+  if (!config.icon) {
+    throw new Error('package.json "webapp" has no "icon" to build the app icons from');
+  }
+  ['theme_color', 'background_color'].forEach(name => {
+    if (!/^#[0-9a-f]{6}$/i.test(config[name])) {
+      throw new Error(`package.json "webapp.${name}" has to be a #rrggbb colour, got "${config[name]}"`);
+    }
+  });
+  return Object.assign({ short_name: config.name }, config);
+}
+
+function iconFile(size) {
+  return `${ICONS_DIR}/icon-${size}.png`;
+}
+
+function appleTouchIconFile() {
+  return `${ICONS_DIR}/apple-touch-icon.png`;
+}
+
+function splashFile(screen) {
+  return `${ICONS_DIR}/splash-${screen.width}x${screen.height}.png`;
+}
+
+/**
+ * The manifest for `target`. Icon URLs are relative to the manifest, which
+ * sits at the root of the output; `start_url` and `scope` carry the target's
+ * link prefix.
+ */
+function webManifest(target, config) {
+  const scope = target.flatPages ? './' : `${(target.links && target.links.prefix) || ''}/`;
+  const manifest = {
+    name: config.name,
+    short_name: config.short_name,
+    description: config.description,
+    start_url: target.flatPages ? targets.pageFile(target, config.start) : targets.pageUrl(target, config.start),
+    scope,
+    display: config.display,
+    theme_color: config.theme_color,
+    background_color: config.background_color,
+    icons: ICON_SIZES.map(size => ({ src: iconFile(size), sizes: `${size}x${size}`, type: 'image/png' }))
+  };
+  return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+/**
+ * What mobile-layout puts in the head for `target` (see
+ * src/components/web-app), with URLs the target can load.
+ */
+function headTags(target) {
+  const config = appConfig();
+  return {
+    title: config.short_name,
+    themeColor: config.theme_color,
+    manifest: targets.fileUrl(target, MANIFEST_FILE),
+    appleTouchIcon: targets.fileUrl(target, appleTouchIconFile()),
+    splashScreens: SPLASH_SCREENS.map(screen => ({
+      href: targets.fileUrl(target, splashFile(screen)),
+      media: `(device-width: ${screen.width / screen.ratio}px) and (device-height: ${screen.height / screen.ratio}px) and (-webkit-device-pixel-ratio: ${screen.ratio})`
+    }))
+  };
+}
+
+function colorToInt(color) {
+  return (parseInt(color.slice(1), 16) * 256 + 255) >>> 0;
+}
+
+/**
+ * Writes manifest.webmanifest and the icons/ it refers to (plus the
+ * apple-touch-icon and the iOS splash images, the icon centred on the
+ * background colour) to `dir`, resizing everything from the one source
+ * image in package.json `webapp.icon`.
+ */
+function writeWebApp(dir, target) {
+  const Jimp = require('jimp').Jimp;
+  const config = appConfig();
+  const write = (image, file) => image.getBuffer('image/png').then(buffer => fs.writeFileSync(path.join(dir, file), buffer));
+
+  fs.mkdirSync(path.join(dir, ICONS_DIR), { recursive: true });
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), webManifest(target, config));
+
+  return Jimp.read(path.resolve(config.icon)).then(source => {
+    if (source.width !== source.height || source.width < 512) {
+      throw new Error(`${config.icon} has to be a square image of at least 512px, it is ${source.width}x${source.height}`);
+    }
+    const resized = size => source.clone().resize({ w: size, h: size });
+    const splash = screen => {
+      const size = Math.round(Math.min(screen.width, screen.height) / 3);
+      return new Jimp({ width: screen.width, height: screen.height, color: colorToInt(config.background_color) })
+        .composite(resized(size), Math.round((screen.width - size) / 2), Math.round((screen.height - size) / 2));
+    };
+
+    // one at a time, the larger splash images take a fair amount of memory
+    return ICON_SIZES.map(size => () => write(resized(size), iconFile(size)))
+      .concat(() => write(resized(APPLE_TOUCH_ICON_SIZE), appleTouchIconFile()))
+      .concat(SPLASH_SCREENS.map(screen => () => write(splash(screen), splashFile(screen))))
+      .reduce((previous, next) => previous.then(next), Promise.resolve());
+  });
+}
+
+exports.MANIFEST_FILE = MANIFEST_FILE;
+exports.headTags = headTags;
+exports.writeWebApp = writeWebApp;
@@ -0,0 +1,44 @@
+/**
+ * Renders the android target the way `gulp watch` does, edits a template
+ * and renders the pages it affects once more, which has to pick up the
+ * edit. Run with `npm run test:watch`; it only writes to dist/android.
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const project = require('../project');
+const targets = require('../targets');
+const watch = require('../tasks/watch');
+
+const target = targets.getTarget('android');
+const template = path.resolve('src/routes/hello/index.marko');
+const original = fs.readFileSync(template, 'utf8');
+const MARKER = 'Edited while watching';
+
+require('marko/hot-reload').enable({ silent: true });
+
+function pageHtml(build, page) {
+  return fs.readFileSync(path.join(build.project.getOutputDir(), targets.pageFile(target, page.path)), 'utf8');
+}
+
+project.openTarget(target, { watch: true })
+  .then(build => build.render(build.pages).then(() => {
+    const pages = watch.affectedPages(build.pages, template);
+    assert.deepStrictEqual(pages.map(page => page.path), ['/people/reyna', '/people/dakota', '/people/jordan']);
+
+    fs.writeFileSync(template, original.replace('Hello', MARKER));
+    watch.invalidate(template);
+    build.resetBundles();
+    return build.render(pages).then(() => {
+      pages.forEach(page => assert.ok(pageHtml(build, page).indexOf(MARKER) !== -1, `${page.path} has the edit`));
+    });
+  }))
+  .then(() => require('lasso').flushAllCaches())
+  .then(() => {
+    fs.writeFileSync(template, original);
+    console.log('ok - re-rendered the pages of an edited template');
+  }, err => {
+    fs.writeFileSync(template, original);
+    console.error(err);
+    process.exitCode = 1;
+  });